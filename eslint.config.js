@@ -10,8 +10,13 @@ export default [
       globals: {
         AbortController: 'readonly',
         AbortSignal: 'readonly',
+        Event: 'readonly',
+        EventTarget: 'readonly',
+        TextDecoder: 'readonly',
         TextEncoder: 'readonly',
         URL: 'readonly',
+        atob: 'readonly',
+        btoa: 'readonly',
         clearTimeout: 'readonly',
         console: 'readonly',
         crypto: 'readonly',
@@ -1,21 +1,12 @@
-import { createCommandBus } from '../index.js';
+import { createCommandBus, createWindowTransport } from '../index.js';
 
 /**
  * Example bridge for iframe parent <-> child messaging.
- * SECURITY: pass an explicit `targetOrigin` in production; "*" is demo-friendly only.
+ * SECURITY: `targetOrigin` must be the peer's exact origin; messages from any other origin or window are dropped.
  */
-export function createIframeBus({ targetWindow, targetOrigin = '*' }) {
-  if (targetOrigin === '*') {
-    console.warn('[SimplexBus demo] targetOrigin="*" is unsafe for production. Use an explicit origin.');
-  }
-
+export function createIframeBus({ targetWindow, targetOrigin }) {
   return createCommandBus({
-    sendFn: (message) => targetWindow.postMessage(message, targetOrigin),
-    onReceive: (handler) => {
-      const listener = (event) => handler(event.data);
-      window.addEventListener('message', listener);
-      return () => window.removeEventListener('message', listener);
-    },
+    ...createWindowTransport({ targetWindow, targetOrigin }),
     allowedTypes: ['ping'],
     validators: {
       ping: (payload) => payload && payload.value === 'ping',
@@ -0,0 +1,15 @@
+import { createChildProcessTransport, createCommandBus, createStdioTransport } from '../../index.js';
+
+// Started with "ipc" (fork) or "stdio" (spawn with piped stdio) as its only argument.
+const transport =
+  process.argv[2] === 'ipc'
+    ? createChildProcessTransport({ child: process })
+    : createStdioTransport({ input: process.stdin, output: process.stdout });
+
+const bus = createCommandBus(transport);
+
+bus.handle('double', (value) => value * 2);
+bus.handle('hang', () => new Promise(() => {}));
+bus.on('exit', () => {
+  process.exit(0);
+});
@@ -0,0 +1,213 @@
+import { Buffer } from 'node:buffer';
+import { createHash, randomBytes } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+import { createServer } from 'node:http';
+import { connect } from 'node:net';
+
+// Minimal RFC 6455 text-frame implementation for tests: no fragmentation, no extensions, frames under 64 KiB.
+const WEB_SOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODE_TEXT = 0x1;
+const OPCODE_CLOSE = 0x8;
+
+const acceptKeyFor = (key) => createHash('sha1').update(`${key}${WEB_SOCKET_GUID}`).digest('base64');
+
+const encodeFrame = (opcode, text, masked) => {
+  const payload = Buffer.from(text);
+  const lengthBytes =
+    payload.length < 126 ? Buffer.from([payload.length]) : Buffer.from([126, payload.length >> 8, payload.length & 0xff]);
+  const mask = masked ? randomBytes(4) : Buffer.alloc(0);
+
+  if (masked) {
+    lengthBytes[0] |= 0x80;
+    for (let index = 0; index < payload.length; index += 1) {
+      payload[index] ^= mask[index % 4];
+    }
+  }
+
+  return Buffer.concat([Buffer.from([0x80 | opcode]), lengthBytes, mask, payload]);
+};
+
+const createFrameReader = (onFrame) => {
+  let pending = Buffer.alloc(0);
+
+  return (chunk) => {
+    pending = Buffer.concat([pending, chunk]);
+
+    while (pending.length >= 2) {
+      const opcode = pending[0] & 0x0f;
+      const masked = (pending[1] & 0x80) !== 0;
+      let length = pending[1] & 0x7f;
+      let offset = 2;
+
+      if (length === 126) {
+        if (pending.length < 4) {
+          return;
+        }
+        length = pending.readUInt16BE(2);
+        offset = 4;
+      }
+
+      const maskOffset = offset;
+      offset += masked ? 4 : 0;
+      if (pending.length < offset + length) {
+        return;
+      }
+
+      const payload = Buffer.from(pending.subarray(offset, offset + length));
+      if (masked) {
+        for (let index = 0; index < payload.length; index += 1) {
+          payload[index] ^= pending[maskOffset + (index % 4)];
+        }
+      }
+
+      pending = pending.subarray(offset + length);
+      onFrame(opcode, payload.toString());
+    }
+  };
+};
+
+/**
+ * Local WebSocket server. Each accepted connection emits "connection" with a peer exposing
+ * `sendFn`/`onReceive` for a server-side bus and `drop()` to cut the TCP connection.
+ */
+export const startWebSocketServer = async () => {
+  const events = new EventEmitter();
+  const sockets = new Set();
+  const server = createServer();
+
+  server.on('upgrade', (request, socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.write(
+      [
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${acceptKeyFor(request.headers['sec-websocket-key'])}`,
+        '',
+        ''
+      ].join('\r\n')
+    );
+
+    const messages = new EventEmitter();
+    socket.on(
+      'data',
+      createFrameReader((opcode, text) => {
+        if (opcode === OPCODE_TEXT) {
+          messages.emit('message', text);
+        } else if (opcode === OPCODE_CLOSE) {
+          socket.end(encodeFrame(OPCODE_CLOSE, '', false));
+        }
+      })
+    );
+
+    events.emit('connection', {
+      sendFn: (message) => socket.write(encodeFrame(OPCODE_TEXT, message, false)),
+      onReceive: (handler) => {
+        messages.on('message', handler);
+        return () => messages.off('message', handler);
+      },
+      drop: () => socket.destroy()
+    });
+  });
+
+  server.listen(0, '127.0.0.1');
+  await EventEmitter.once(server, 'listening');
+
+  return {
+    url: `ws://127.0.0.1:${server.address().port}/`,
+    events,
+    dropAll: () => {
+      for (const socket of sockets) {
+        socket.destroy();
+      }
+    },
+    close: async () => {
+      for (const socket of sockets) {
+        socket.destroy();
+      }
+      server.close();
+      await EventEmitter.once(server, 'close');
+    }
+  };
+};
+
+/** Client implementing the subset of the standard WebSocket API the transport relies on. */
+export class TestWebSocket extends EventTarget {
+  constructor(url) {
+    super();
+    this.readyState = 0;
+
+    const { hostname, port, pathname } = new URL(url);
+    const key = randomBytes(16).toString('base64');
+    let handshake = Buffer.alloc(0);
+    const readFrame = createFrameReader((opcode, text) => {
+      if (opcode === OPCODE_TEXT) {
+        this.dispatchEvent(Object.assign(new Event('message'), { data: text }));
+      }
+    });
+
+    this.socket = connect(Number(port), hostname, () => {
+      this.socket.write(
+        [
+          `GET ${pathname} HTTP/1.1`,
+          `Host: ${hostname}:${port}`,
+          'Upgrade: websocket',
+          'Connection: Upgrade',
+          `Sec-WebSocket-Key: ${key}`,
+          'Sec-WebSocket-Version: 13',
+          '',
+          ''
+        ].join('\r\n')
+      );
+    });
+
+    this.socket.on('data', (chunk) => {
+      if (this.readyState !== 0) {
+        readFrame(chunk);
+        return;
+      }
+
+      handshake = Buffer.concat([handshake, chunk]);
+      const end = handshake.indexOf('\r\n\r\n');
+      if (end === -1) {
+        return;
+      }
+
+      if (!handshake.subarray(0, end).toString().includes(acceptKeyFor(key))) {
+        this.socket.destroy();
+        return;
+      }
+
+      this.readyState = 1;
+      this.dispatchEvent(new Event('open'));
+      readFrame(handshake.subarray(end + 4));
+    });
+
+    this.socket.on('error', () => {
+      this.dispatchEvent(new Event('error'));
+    });
+
+    this.socket.on('close', () => {
+      this.readyState = 3;
+      this.dispatchEvent(new Event('close'));
+    });
+  }
+
+  send(message) {
+    if (this.readyState !== 1) {
+      throw new Error('WebSocket is not open');
+    }
+
+    this.socket.write(encodeFrame(OPCODE_TEXT, message, true));
+  }
+
+  close() {
+    if (this.readyState === 1) {
+      this.socket.write(encodeFrame(OPCODE_CLOSE, '', true));
+    }
+
+    this.readyState = 2;
+    this.socket.end();
+  }
+}
@@ -0,0 +1,10 @@
+import { parentPort } from 'node:worker_threads';
+
+import { createCommandBus, createWorkerTransport } from '../../index.js';
+
+const bus = createCommandBus(createWorkerTransport({ worker: parentPort }));
+
+bus.handle('double', (value) => value * 2);
+bus.on('shutdown', () => {
+  bus.dispose();
+});
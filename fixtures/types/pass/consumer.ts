@@ -1,18 +1,119 @@
 import {
   createCommandBus,
   createSchemaValidators,
+  createRichCodec,
+  createBinaryCodec,
+  createWindowTransport,
+  createMessagePortTransport,
+  createWorkerTransport,
+  createBroadcastChannelTransport,
+  createChildProcessTransport,
+  createStdioTransport,
+  createSocketTransport,
+  createWebSocketTransport,
+  attachSocketServer,
+  encodeLengthPrefixedFrame,
+  createLengthPrefixedDecoder,
   CommandBusLimitError,
-  type CreateSchemaValidatorsConfig
+  CommandBusUnhandledError,
+  CommandBusHandshakeError,
+  CommandBusExpiredError,
+  CommandBusDisconnectedError,
+  CommandBusTransportClosedError,
+  type CreateSchemaValidatorsConfig,
+  type Envelope
 } from '../../../index.js';
 
+class AuthExpiredError extends Error {}
+
 const bus = createCommandBus({
   sendFn: (_message: string) => {},
   maxIncomingMessageBytes: 1024,
-  maxPendingRequests: 10
+  maxPendingRequests: 10,
+  unhandledRequestMode: 'reply',
+  errorClasses: { AUTH_EXPIRED: AuthExpiredError },
+  exposeErrorStack: false,
+  defaultMeta: { tenant: 'acme' },
+  maxMetaBytes: 1024,
+  handshake: true,
+  outbox: true,
+  maxOutboxMessages: 50,
+  outboxTtl: 10000,
+  requestTimeoutFrom: 'flush',
+  heartbeatInterval: 5000,
+  maxMissedHeartbeats: 3,
+  rejectPendingOnPeerLost: true
+});
+const stopWatchingPeer = bus.onPeerEvent('peer-lost', ({ missed }) => {
+  const status: 'unknown' | 'alive' | 'lost' = bus.peerStatus;
+  void status;
+  void missed;
+});
+stopWatchingPeer();
+bus.onPeerEvent('peer-restored', ({ rtt }) => {
+  const lastRtt: number | undefined = bus.rtt;
+  void lastRtt;
+  void rtt;
 });
+bus.markReady();
+
+void bus.ready.then((peer) => {
+  const types: readonly string[] = peer?.types ?? [];
+  void types;
+});
+const peerProtocol: number | undefined = bus.peer?.protocol;
+void peerProtocol;
 
 bus.send('ping', { ok: true });
-void bus.request('ping', { id: '1' }, { timeout: 1000 });
+bus.receive('{"type":"ping"}', { origin: 'https://app.example.com' });
+bus.send('ping', { ok: true }, { meta: { traceId: 't-1' } });
+void bus.request('ping', { id: '1' }, { timeout: 1000, meta: { attempt: 1, sampled: true } });
+void bus.request('upload', undefined, {
+  timeout: 1000,
+  keepAlive: true,
+  onProgress: (data: unknown) => {
+    void data;
+  }
+});
+
+const stream: AsyncIterableIterator<unknown> = bus.requestStream('list', undefined, { timeout: 1000 });
+void stream;
+
+bus.on('list', (_payload, context) => {
+  if (context.signal.aborted) {
+    return;
+  }
+  context.progress({ percent: 50 });
+  context.emit({ name: 'a.txt' });
+  context.end();
+});
+
+const unsubscribeResponder = bus.handle('get-profile', async (_payload, context) => {
+  if (context.signal.aborted) {
+    return undefined;
+  }
+  const traceId = context.meta.traceId;
+  void traceId;
+  const origin = context.sender?.origin;
+  void origin;
+  return { id: 'u-42' };
+});
+unsubscribeResponder();
+
+const removeMiddleware = bus.use({
+  outbound: async (envelope, info) => {
+    if (info.category === 'request') {
+      return { ...envelope, payload: { wrapped: envelope.payload } };
+    }
+    return undefined;
+  },
+  inbound: (envelope, info) => {
+    void info.sender;
+    void envelope.type;
+    void envelope.meta?.traceId;
+  }
+});
+removeMiddleware();
 
 const schemaConfig: CreateSchemaValidatorsConfig = {
   schemaMap: {
@@ -39,3 +140,129 @@ validators['ping-response']({});
 
 const limitError = new CommandBusLimitError('limit reached');
 limitError.message;
+
+const readUnhandledCode = (error: CommandBusUnhandledError): 'NO_HANDLER' | 'TYPE_NOT_ALLOWED' => error.code;
+void readUnhandledCode;
+
+const readPeerProtocol = (error: CommandBusHandshakeError): number => error.peerProtocol;
+void readPeerProtocol;
+
+const readExpiredTtl = (error: CommandBusExpiredError): number => error.ttl;
+void readExpiredTtl;
+
+const readMissedHeartbeats = (error: CommandBusDisconnectedError): number => error.missedHeartbeats;
+void readMissedHeartbeats;
+
+declare const iframeWindow: { postMessage(message: string, targetOrigin: string): void };
+declare const hostWindow: {
+  addEventListener(type: 'message', listener: (event: { data: unknown; origin: string; source: unknown }) => void): void;
+  removeEventListener(
+    type: 'message',
+    listener: (event: { data: unknown; origin: string; source: unknown }) => void
+  ): void;
+};
+declare const port: { postMessage(message: string): void; start(): void; addEventListener(type: 'message', listener: (event: { data: unknown }) => void): void };
+
+const iframeBus = createCommandBus({
+  ...createWindowTransport({ targetWindow: iframeWindow, targetOrigin: 'https://widget.example', selfWindow: hostWindow }),
+  allowedTypes: ['ping']
+});
+iframeBus.dispose();
+createCommandBus(createMessagePortTransport({ port }));
+createCommandBus(createWorkerTransport({ worker: port }));
+createCommandBus(createBroadcastChannelTransport({ channel: port }));
+
+declare const childProcess: {
+  send(message: string, callback?: (error: Error | null) => void): boolean;
+  connected: boolean;
+  on(event: string, listener: (...args: unknown[]) => void): unknown;
+  removeListener(event: string, listener: (...args: unknown[]) => void): unknown;
+};
+declare const stdout: {
+  on(event: string, listener: (...args: unknown[]) => void): unknown;
+  removeListener(event: string, listener: (...args: unknown[]) => void): unknown;
+};
+declare const stdin: typeof stdout & { write(chunk: string): boolean; writable: boolean };
+
+createCommandBus(createChildProcessTransport({ child: childProcess }));
+const stdioTransport = createStdioTransport({ input: stdout, output: stdin, maxIncomingMessageBytes: 1024 });
+createCommandBus({ ...stdioTransport, allowedTypes: ['ping'] });
+const isTransportClosed = (error: unknown): error is CommandBusTransportClosedError =>
+  error instanceof CommandBusTransportClosedError;
+void isTransportClosed;
+
+declare const socket: typeof stdout & { write(chunk: Uint8Array): boolean; writable: boolean };
+declare const server: typeof stdout;
+
+createCommandBus(createSocketTransport({ socket, maxIncomingMessageBytes: 4096 }));
+const attachedServer = attachSocketServer({
+  server,
+  config: { allowedTypes: ['ping'], maxIncomingMessageBytes: 4096 },
+  onBus: (bus) => {
+    bus.handle('ping', () => 'pong');
+  }
+});
+const connectedBuses: number = attachedServer.buses.size;
+void connectedBuses;
+attachedServer.close();
+const pushFrame = createLengthPrefixedDecoder({ maxFrameBytes: 1024, onFrame: (message: string) => message.length });
+pushFrame(encodeLengthPrefixedFrame('{}'));
+
+const agentBus = createCommandBus({
+  ...createWebSocketTransport({
+    url: 'ws://127.0.0.1:8080/agent',
+    maxReconnectAttempts: 10,
+    pendingRequestPolicy: 'resend'
+  }),
+  allowedTypes: ['ping']
+});
+agentBus.dispose();
+// @ts-expect-error unknown pending request policy
+createWebSocketTransport({ url: 'ws://127.0.0.1:8080/agent', pendingRequestPolicy: 'retry' });
+
+const reloadableBus = createCommandBus({ sendFn: (message: string) => void message });
+reloadableBus.onPeerEvent('transport-changed', ({ resent }) => resent.toFixed());
+reloadableBus.setTransport(createMessagePortTransport({ port }), { resendPending: true });
+reloadableBus.setTransport({ sendFn: (message: string) => void message, onReceive: () => undefined });
+
+const objectBus = createCommandBus({
+  ...createMessagePortTransport({ port }),
+  encoding: 'object'
+});
+objectBus.setTransport({ sendFn: (message: Envelope) => void message.type });
+createCommandBus({ encoding: 'object', sendFn: (message: Envelope) => void message.payload });
+// @ts-expect-error object encoding hands sendFn an envelope, not a string
+createCommandBus({ encoding: 'object', sendFn: (message: string) => void message.length });
+createCommandBus({
+  sendFn: (message: string) => void message,
+  maxFragmentBytes: 16 * 1024,
+  maxReassembledMessageBytes: 4 * 1024 * 1024,
+  fragmentTimeout: 5000,
+  maxConcurrentReassemblies: 4,
+  maxReassemblyBufferBytes: 8 * 1024 * 1024
+});
+// @ts-expect-error unknown encoding
+createCommandBus({ encoding: 'base64', sendFn: (message: string) => void message });
+
+const frame = new Uint8Array(16);
+objectBus.send('frame', frame, { transfer: [frame.buffer] });
+void objectBus.request('render', frame.buffer, { timeout: 1000, transfer: [frame.buffer] });
+objectBus.on('render', (payload, context) => {
+  context.respond(payload, { transfer: [] });
+});
+createCommandBus({ encoding: 'object', sendFn: (message: Envelope, options) => void options?.transfer.length });
+
+const richBus = createCommandBus({ ...createRichCodec(), sendFn: (message: string) => void message });
+richBus.send('log', { at: new Date(), totals: new Map([['a', 1n]]) });
+
+const binaryBus = createCommandBus({ ...createBinaryCodec(), sendFn: (message: Uint8Array) => void message.byteLength });
+binaryBus.receive(new Uint8Array(0));
+createCommandBus({ ...createSocketTransport({ socket, binary: true }), ...createBinaryCodec() });
+attachSocketServer({
+  server,
+  config: createBinaryCodec(),
+  onBus: (bus) => bus.setTransport({ sendFn: (message: Uint8Array) => void message })
+});
+createLengthPrefixedDecoder({ maxFrameBytes: 1024, binary: true, onFrame: (bytes: Uint8Array) => bytes.length });
+// @ts-expect-error binary encoding hands sendFn bytes, not a string
+createCommandBus({ ...createBinaryCodec(), sendFn: (message: string) => void message });
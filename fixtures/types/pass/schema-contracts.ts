@@ -0,0 +1,80 @@
+import {
+  createCommandBus,
+  createSchemaValidators,
+  type ContractsFromSchemaMap,
+  type FromSchema
+} from '../../../index.js';
+
+const schemaMap = {
+  'files/list': {
+    request: {
+      type: 'object',
+      properties: {
+        dir: { type: 'string' },
+        depth: { type: 'integer' },
+        sort: { enum: ['name', 'size'] }
+      },
+      required: ['dir']
+    },
+    response: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          size: { type: ['number', 'null'] },
+          kind: { anyOf: [{ const: 'file' }, { const: 'dir' }] }
+        },
+        required: ['name', 'size', 'kind']
+      }
+    },
+    error: {
+      type: 'object',
+      properties: { code: { type: 'string' }, retry: { type: 'boolean' } },
+      required: ['code']
+    }
+  },
+  ping: {
+    request: { type: 'object' }
+  }
+} as const;
+
+type AppContracts = ContractsFromSchemaMap<typeof schemaMap>;
+
+const bus = createCommandBus<AppContracts>({
+  sendFn: (_message: string) => {},
+  validators: createSchemaValidators({ schemaMap, compile: () => () => true })
+});
+
+void bus.request('files/list', { dir: '/', sort: 'name' }, 1000).then((entries) => {
+  for (const entry of entries) {
+    const name: string = entry.name;
+    const size: number | null = entry.size;
+    const kind: 'file' | 'dir' = entry.kind;
+    void name;
+    void size;
+    void kind;
+  }
+});
+
+// @ts-expect-error `dir` is required
+void bus.request('files/list', { depth: 1 }, 1000);
+// @ts-expect-error `sort` is an enum
+void bus.request('files/list', { dir: '/', sort: 'date' }, 1000);
+// @ts-expect-error `depth` is an integer
+void bus.request('files/list', { dir: '/', depth: '1' }, 1000);
+
+bus.handle('files/list', (payload, context) => {
+  const depth: number | undefined = payload.depth;
+  void depth;
+  context.respondError({ code: 'EACCES' });
+  // @ts-expect-error error `code` is required
+  context.respondError({ retry: true });
+  return [{ name: 'a.txt', size: 1, kind: 'file' as const }];
+});
+
+bus.send('ping', { any: 'value' });
+
+type Tags = FromSchema<{ readonly type: 'array'; readonly items: { readonly type: 'string' } }>;
+const tags: Tags = ['a', 'b'];
+void tags;
@@ -0,0 +1,91 @@
+import {
+  createCommandBus,
+  CommandBusRemoteError,
+  type CommandBus,
+  type RemoteErrorOf
+} from '../../../index.js';
+
+interface AppContracts {
+  'auth/get-token': {
+    request: { scope: string };
+    response: { token: string };
+    error: { code: 'AUTH_EXPIRED'; expiredAt: number };
+  };
+  'files/list': {
+    request: { dir: string };
+    response: { name: string };
+  };
+  notify: {
+    request: { text: string };
+  };
+}
+
+const bus: CommandBus<AppContracts> = createCommandBus<AppContracts>({
+  sendFn: (_message: string) => {},
+  allowedTypes: ['auth/get-token', 'files/list', 'notify']
+});
+
+createCommandBus<AppContracts>({
+  sendFn: () => {},
+  // @ts-expect-error allowedTypes are constrained to contract keys
+  allowedTypes: ['auth/unknown']
+});
+
+bus.send('notify', { text: 'hello' });
+// @ts-expect-error payload must match the contract request
+bus.send('notify', { text: 42 });
+// @ts-expect-error type must be a contract key
+bus.send('unknown', {});
+
+const readToken = async (): Promise<string> => {
+  const response = await bus.request('auth/get-token', { scope: 'read' }, { timeout: 1000 });
+  return response.token;
+};
+void readToken;
+
+// @ts-expect-error payload must match the contract request
+void bus.request('auth/get-token', { scope: 1 }, 1000);
+
+const listNames = async (): Promise<string[]> => {
+  const names: string[] = [];
+  for await (const entry of bus.requestStream('files/list', { dir: '/' }, 1000)) {
+    names.push(entry.name);
+  }
+  return names;
+};
+void listNames;
+
+bus.on('auth/get-token', (payload, context) => {
+  const scope: string = payload.scope;
+  void scope;
+  context.respond({ token: 't-1' });
+  context.respondError({ code: 'AUTH_EXPIRED', expiredAt: 0 });
+  // @ts-expect-error respond payload must match the contract response
+  context.respond({ token: 1 });
+  // @ts-expect-error respondError payload must match the contract error
+  context.respondError({ code: 'OTHER' });
+});
+
+bus.once('notify', (payload) => {
+  const text: string = payload.text;
+  void text;
+});
+
+bus.handle('auth/get-token', async (payload) => ({ token: payload.scope }));
+// @ts-expect-error responder return value must match the contract response
+bus.handle('files/list', () => ({ size: 1 }));
+
+bus.off('notify');
+
+const readExpiredAt = (error: RemoteErrorOf<AppContracts, 'auth/get-token'>): number => {
+  const type: 'auth/get-token' = error.type;
+  void type;
+  return error.payload.expiredAt;
+};
+void readExpiredAt;
+
+const isRemoteError = (error: unknown): error is CommandBusRemoteError => error instanceof CommandBusRemoteError;
+void isRemoteError;
+
+const untypedBus = createCommandBus({ sendFn: () => {} });
+void untypedBus.request('anything', { any: 'payload' }, 1000).then((response: unknown) => response);
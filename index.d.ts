@@ -9,6 +9,7 @@ export interface ValidationErrorDetails {
 
 export class CommandBusValidationError extends CommandBusError {
   details?: ValidationErrorDetails;
+  remote: boolean;
 }
 export class CommandBusSerializationError extends CommandBusError {}
 export class CommandBusInvalidMessageError extends CommandBusError {}
@@ -19,15 +20,87 @@ export class CommandBusTimeoutError extends CommandBusError {
 export class CommandBusAbortedError extends CommandBusError {
   type: string;
 }
-export class CommandBusRemoteError<TPayload = unknown> extends CommandBusError {
-  type: string;
+export class CommandBusRemoteError<TPayload = unknown, TType extends string = string> extends CommandBusError {
+  type: TType;
   payload: TPayload;
 }
+export class CommandBusUnhandledError extends CommandBusError {
+  type: string;
+  code: 'NO_HANDLER' | 'TYPE_NOT_ALLOWED';
+}
+export class CommandBusExpiredError extends CommandBusError {
+  type: string;
+  ttl: number;
+}
+export class CommandBusHandshakeError extends CommandBusError {
+  protocol: number;
+  peerProtocol: number;
+}
+export class CommandBusDisconnectedError extends CommandBusError {
+  missedHeartbeats: number;
+}
+export class CommandBusTransportClosedError extends CommandBusError {}
 export class CommandBusLimitError extends CommandBusError {}
 
+export interface CommandContract {
+  request?: unknown;
+  response?: unknown;
+  error?: unknown;
+}
+
+export type CommandContractMap<TContracts = Record<string, CommandContract>> = {
+  [TType in keyof TContracts]: CommandContract;
+};
+
+export type DefaultCommandContractMap = Record<string, { request: unknown; response: unknown; error: unknown }>;
+
+export type CommandType<TContracts extends CommandContractMap<TContracts>> = Extract<keyof TContracts, string>;
+
+export type RequestOf<TContracts extends CommandContractMap<TContracts>, TType extends keyof TContracts> =
+  TContracts[TType] extends { request: infer TRequest } ? TRequest : unknown;
+
+export type ResponseOf<TContracts extends CommandContractMap<TContracts>, TType extends keyof TContracts> =
+  TContracts[TType] extends { response: infer TResponse } ? TResponse : unknown;
+
+export type ErrorOf<TContracts extends CommandContractMap<TContracts>, TType extends keyof TContracts> =
+  TContracts[TType] extends { error: infer TError } ? TError : unknown;
+
+export type RemoteErrorOf<
+  TContracts extends CommandContractMap<TContracts>,
+  TType extends CommandType<TContracts>
+> = CommandBusRemoteError<ErrorOf<TContracts, TType>, TType>;
+
+export type EnvelopeMeta = Record<string, string | number | boolean | null>;
+
+export type TransportMeta = Record<string, unknown>;
+
+/** A message as delivered by a transport: serialized text or bytes, or an already structured-cloned envelope. */
+export type IncomingMessage = string | Uint8Array | ArrayBuffer | Record<string, unknown>;
+
+/** Objects to transfer rather than copy, such as `ArrayBuffer`s or `MessagePort`s. Requires `encoding: 'object'`. */
+export type TransferList = readonly object[];
+
+export interface SendOptions {
+  meta?: EnvelopeMeta;
+  transfer?: TransferList;
+}
+
+export interface ResponseOptions {
+  transfer?: TransferList;
+}
+
+/** Second `sendFn` argument, passed only for sends given a transfer list. */
+export interface TransportSendOptions {
+  transfer: TransferList;
+}
+
 export interface RequestOptions {
   timeout?: number;
   signal?: AbortSignal;
+  onProgress?: (data: unknown) => void;
+  keepAlive?: boolean;
+  meta?: EnvelopeMeta;
+  transfer?: TransferList;
 }
 
 export interface TrustedResponseInfo {
@@ -38,12 +111,20 @@ export interface TrustedResponseInfo {
   responseNonce?: string;
   payload: unknown;
   isError: boolean;
-  raw: string | Record<string, unknown>;
+  meta?: EnvelopeMeta;
+  raw: IncomingMessage;
+  sender?: TransportMeta;
 }
 
 export interface CommandContext<TResponse = unknown, TError = unknown> {
-  respond(payload: TResponse): boolean;
+  readonly signal: AbortSignal;
+  readonly meta: EnvelopeMeta;
+  readonly sender?: TransportMeta;
+  respond(payload: TResponse, options?: ResponseOptions): boolean;
   respondError(payload: TError): boolean;
+  emit(chunk: TResponse, options?: ResponseOptions): boolean;
+  end(): boolean;
+  progress(data: unknown): boolean;
 }
 
 export type CommandHandler<TPayload = unknown, TResponse = unknown, TError = unknown> = (
@@ -51,13 +132,96 @@ export type CommandHandler<TPayload = unknown, TResponse = unknown, TError = unk
   context: CommandContext<TResponse, TError>
 ) => void | Promise<void>;
 
-export interface CreateCommandBusConfig {
-  sendFn: (message: string) => void;
-  onReceive?: (handler: (raw: string | Record<string, unknown>) => void) => void | (() => void);
-  allowedTypes?: string[];
+export type CommandResponder<TPayload = unknown, TResponse = unknown, TError = unknown> = (
+  payload: TPayload,
+  context: CommandContext<TResponse, TError>
+) => TResponse | Promise<TResponse>;
+
+export type EnvelopeKind =
+  | 'stream'
+  | 'chunk'
+  | 'end'
+  | 'progress'
+  | 'cancel'
+  | 'fault'
+  | 'hello'
+  | 'ping'
+  | 'pong'
+  | 'fragment';
+
+export type PeerStatus = 'unknown' | 'alive' | 'lost';
+
+export interface PeerEventMap {
+  'peer-lost': { missed: number };
+  'peer-restored': { rtt: number };
+  'transport-changing': Record<string, never>;
+  'transport-changed': { resent: number };
+}
+
+export interface SetTransportOptions {
+  resendPending?: boolean;
+}
+
+export interface PeerInfo {
+  readonly protocol: number;
+  readonly features: readonly string[];
+  readonly types: readonly string[];
+}
+
+export interface Envelope {
+  type: string;
+  payload?: unknown;
+  id?: string;
+  nonce?: string;
+  isError?: boolean;
+  kind?: EnvelopeKind;
+  meta?: EnvelopeMeta;
+}
+
+export interface MiddlewareInfo {
+  direction: 'outbound' | 'inbound';
+  category: 'command' | 'request' | 'response' | 'control';
+  raw?: IncomingMessage;
+  sender?: TransportMeta;
+}
+
+export type EnvelopeMiddleware = (
+  envelope: Envelope,
+  info: MiddlewareInfo
+) => Envelope | void | Promise<Envelope | void>;
+
+export interface CommandBusMiddleware {
+  outbound?: EnvelopeMiddleware;
+  inbound?: EnvelopeMiddleware;
+}
+
+export type RegisteredErrorClass = new (message?: string, options?: { cause?: unknown }) => Error;
+
+export type CommandBusEncoding = 'string' | 'object' | 'binary';
+
+/** What `parser` receives and `serializer` returns. */
+export type SerializedMessage<TEncoding extends CommandBusEncoding> = TEncoding extends 'binary' ? Uint8Array : string;
+
+/** What `sendFn` receives: the serialized message, or the envelope itself in object mode. */
+export type EncodedMessage<TEncoding extends CommandBusEncoding> = TEncoding extends 'object'
+  ? Envelope
+  : SerializedMessage<TEncoding>;
+
+export interface CreateCommandBusConfig<
+  TContracts extends CommandContractMap<TContracts> = DefaultCommandContractMap,
+  TEncoding extends CommandBusEncoding = 'string'
+> {
+  sendFn: (message: EncodedMessage<TEncoding>, options?: TransportSendOptions) => void;
+  encoding?: TEncoding;
+  onReceive?: (
+    handler: (raw: IncomingMessage, transportMeta?: TransportMeta) => void
+  ) => void | (() => void);
+  onClose?: (handler: (reason?: unknown) => void) => void | (() => void);
+  onReconnect?: (handler: () => void) => void | (() => void);
+  allowedTypes?: CommandType<TContracts>[];
   validators?: Record<string, (payload: unknown) => boolean>;
-  parser?: (raw: string) => Record<string, unknown>;
-  serializer?: (message: Record<string, unknown>) => string;
+  parser?: (raw: SerializedMessage<TEncoding>) => Record<string, unknown>;
+  serializer?: (message: Record<string, unknown>) => SerializedMessage<TEncoding>;
   logger?: {
     error?: (...args: unknown[]) => void;
   };
@@ -66,20 +230,95 @@ export interface CreateCommandBusConfig {
   maxPendingRequests?: number;
   responseTrustMode?: 'auto' | 'strict' | 'permissive';
   isTrustedResponse?: (info: TrustedResponseInfo) => boolean;
+  unhandledRequestMode?: 'reply' | 'silent';
+  errorClasses?: Record<string, RegisteredErrorClass>;
+  exposeErrorStack?: boolean;
+  defaultMeta?: EnvelopeMeta;
+  maxMetaBytes?: number;
+  handshake?: boolean;
+  outbox?: boolean;
+  maxOutboxMessages?: number;
+  outboxTtl?: number;
+  requestTimeoutFrom?: 'enqueue' | 'flush';
+  heartbeatInterval?: number;
+  maxMissedHeartbeats?: number;
+  rejectPendingOnPeerLost?: boolean;
+  maxFragmentBytes?: number;
+  maxReassembledMessageBytes?: number;
+  fragmentTimeout?: number;
+  maxConcurrentReassemblies?: number;
+  maxReassemblyBufferBytes?: number;
 }
 
-export interface CommandBus {
-  send(type: string, payload?: unknown): void;
-  request(type: string, payload?: unknown, timeout?: number): Promise<unknown>;
-  request(type: string, payload: unknown, options: RequestOptions): Promise<unknown>;
-  receive(raw: string | Record<string, unknown>): void;
-  on(type: string, handler: CommandHandler): () => boolean;
-  once(type: string, handler: CommandHandler): () => boolean;
-  off(type: string, handler?: CommandHandler): boolean;
+export interface CommandBus<
+  TContracts extends CommandContractMap<TContracts> = DefaultCommandContractMap,
+  TEncoding extends CommandBusEncoding = 'string'
+> {
+  send<TType extends CommandType<TContracts>>(
+    type: TType,
+    payload?: RequestOf<TContracts, TType>,
+    options?: SendOptions
+  ): void | Promise<void>;
+  request<TType extends CommandType<TContracts>>(
+    type: TType,
+    payload?: RequestOf<TContracts, TType>,
+    timeout?: number
+  ): Promise<ResponseOf<TContracts, TType>>;
+  request<TType extends CommandType<TContracts>>(
+    type: TType,
+    payload: RequestOf<TContracts, TType>,
+    options: RequestOptions
+  ): Promise<ResponseOf<TContracts, TType>>;
+  requestStream<TType extends CommandType<TContracts>>(
+    type: TType,
+    payload?: RequestOf<TContracts, TType>,
+    timeout?: number
+  ): AsyncIterableIterator<ResponseOf<TContracts, TType>>;
+  requestStream<TType extends CommandType<TContracts>>(
+    type: TType,
+    payload: RequestOf<TContracts, TType>,
+    options: RequestOptions
+  ): AsyncIterableIterator<ResponseOf<TContracts, TType>>;
+  receive(raw: IncomingMessage, transportMeta?: TransportMeta): void;
+  on<TType extends CommandType<TContracts>>(
+    type: TType,
+    handler: CommandHandler<RequestOf<TContracts, TType>, ResponseOf<TContracts, TType>, ErrorOf<TContracts, TType>>
+  ): () => boolean;
+  once<TType extends CommandType<TContracts>>(
+    type: TType,
+    handler: CommandHandler<RequestOf<TContracts, TType>, ResponseOf<TContracts, TType>, ErrorOf<TContracts, TType>>
+  ): () => boolean;
+  handle<TType extends CommandType<TContracts>>(
+    type: TType,
+    responder: CommandResponder<RequestOf<TContracts, TType>, ResponseOf<TContracts, TType>, ErrorOf<TContracts, TType>>
+  ): () => boolean;
+  off<TType extends CommandType<TContracts>>(
+    type: TType,
+    handler?:
+      | CommandHandler<RequestOf<TContracts, TType>, ResponseOf<TContracts, TType>, ErrorOf<TContracts, TType>>
+      | CommandResponder<RequestOf<TContracts, TType>, ResponseOf<TContracts, TType>, ErrorOf<TContracts, TType>>
+  ): boolean;
+  use(middleware: CommandBusMiddleware): () => boolean;
+  markReady(): void;
+  setTransport(
+    transport: Pick<CreateCommandBusConfig<TContracts, TEncoding>, 'sendFn' | 'onReceive' | 'onClose' | 'onReconnect'>,
+    options?: SetTransportOptions
+  ): void;
+  onPeerEvent<TEvent extends keyof PeerEventMap>(
+    event: TEvent,
+    listener: (details: PeerEventMap[TEvent]) => void
+  ): () => boolean;
   dispose(): void;
+  readonly ready: Promise<PeerInfo | undefined>;
+  readonly peer: PeerInfo | undefined;
+  readonly peerStatus: PeerStatus;
+  readonly rtt: number | undefined;
 }
 
-export function createCommandBus(config: CreateCommandBusConfig): CommandBus;
+export function createCommandBus<
+  TContracts extends CommandContractMap<TContracts> = DefaultCommandContractMap,
+  TEncoding extends CommandBusEncoding = 'string'
+>(config: CreateCommandBusConfig<TContracts, TEncoding>): CommandBus<TContracts, TEncoding>;
 
 export type SchemaEntry = {
   request?: Record<string, unknown>;
@@ -87,6 +326,76 @@ export type SchemaEntry = {
   error?: Record<string, unknown>;
 };
 
+type JsonSchemaPrimitiveTypes = {
+  string: string;
+  number: number;
+  integer: number;
+  boolean: boolean;
+  null: null;
+};
+
+type Simplify<T> = { [TKey in keyof T]: T[TKey] } & {};
+
+type SchemaRequiredKeys<TSchema> = TSchema extends { required: readonly (infer TKey)[] }
+  ? Extract<TKey, string>
+  : never;
+
+type FromObjectSchema<TSchema> = TSchema extends { properties: infer TProperties }
+  ? Simplify<
+      {
+        -readonly [TKey in keyof TProperties as TKey extends SchemaRequiredKeys<TSchema>
+          ? TKey
+          : never]: FromSchema<TProperties[TKey]>;
+      } & {
+        -readonly [TKey in keyof TProperties as TKey extends SchemaRequiredKeys<TSchema>
+          ? never
+          : TKey]?: FromSchema<TProperties[TKey]>;
+      }
+    >
+  : Record<string, unknown>;
+
+type FromArraySchema<TSchema> = TSchema extends { items: infer TItems } ? FromSchema<TItems>[] : unknown[];
+
+type FromTypedSchema<TSchema, TType> = TType extends 'object'
+  ? FromObjectSchema<TSchema>
+  : TType extends 'array'
+    ? FromArraySchema<TSchema>
+    : TType extends keyof JsonSchemaPrimitiveTypes
+      ? JsonSchemaPrimitiveTypes[TType]
+      : unknown;
+
+/** Infers a payload type from a JSON Schema declared `as const`. */
+export type FromSchema<TSchema> = TSchema extends { const: infer TConst }
+  ? TConst
+  : TSchema extends { enum: readonly (infer TMember)[] }
+    ? TMember
+    : TSchema extends { anyOf: readonly (infer TMember)[] }
+      ? FromSchema<TMember>
+      : TSchema extends { oneOf: readonly (infer TMember)[] }
+        ? FromSchema<TMember>
+        : TSchema extends { type: readonly (infer TType)[] }
+          ? FromTypedSchema<TSchema, TType>
+          : TSchema extends { type: infer TType }
+            ? FromTypedSchema<TSchema, TType>
+            : TSchema extends { properties: object }
+              ? FromObjectSchema<TSchema>
+              : unknown;
+
+type FromSchemaChannel<TEntry, TChannel extends keyof SchemaEntry> = TEntry extends {
+  [TKey in TChannel]: infer TSchema;
+}
+  ? FromSchema<TSchema>
+  : unknown;
+
+/** Builds a `createCommandBus<TContracts>()` contract map from a `schemaMap` declared `as const`. */
+export type ContractsFromSchemaMap<TSchemaMap extends Record<string, SchemaEntry>> = {
+  -readonly [TType in keyof TSchemaMap]: {
+    request: FromSchemaChannel<TSchemaMap[TType], 'request'>;
+    response: FromSchemaChannel<TSchemaMap[TType], 'response'>;
+    error: FromSchemaChannel<TSchemaMap[TType], 'error'>;
+  };
+};
+
 export interface CreateSchemaValidatorsConfig {
   schemaMap: Record<string, SchemaEntry>;
   compile: (
@@ -101,6 +410,157 @@ export interface CreateSchemaValidatorsConfig {
   }) => void;
 }
 
+export interface CommandBusCodec {
+  parser: (raw: string) => Record<string, unknown>;
+  serializer: (message: Record<string, unknown>) => string;
+}
+
+export function createRichCodec(): CommandBusCodec;
+
+export interface BinaryCommandBusCodec {
+  encoding: 'binary';
+  parser: (raw: Uint8Array | ArrayBuffer) => Record<string, unknown>;
+  serializer: (message: Record<string, unknown>) => Uint8Array;
+}
+
+export function createBinaryCodec(): BinaryCommandBusCodec;
+
 export function createSchemaValidators(
   config: CreateSchemaValidatorsConfig
 ): Record<string, (payload: unknown) => boolean>;
+
+export interface CommandBusTransport<TMessage = string> {
+  sendFn: (message: TMessage, options?: TransportSendOptions) => void;
+  onReceive: (
+    handler: (raw: IncomingMessage, transportMeta?: TransportMeta) => void
+  ) => () => void;
+  onClose?: (handler: (reason?: unknown) => void) => () => void;
+  onReconnect?: (handler: () => void) => () => void;
+}
+
+export interface MessageTargetLike {
+  postMessage(message: string | Envelope, ...rest: unknown[]): void;
+  addEventListener?(type: 'message', listener: (event: { data: unknown }) => void): void;
+  removeEventListener?(type: 'message', listener: (event: { data: unknown }) => void): void;
+  on?(event: 'message', listener: (data: unknown) => void): unknown;
+  off?(event: 'message', listener: (data: unknown) => void): unknown;
+  start?(): void;
+}
+
+export interface WindowTransportOptions {
+  targetWindow: { postMessage(message: string | Envelope, targetOrigin: string, transfer?: TransferList): void };
+  targetOrigin: string;
+  selfWindow?: {
+    addEventListener(type: 'message', listener: (event: { data: unknown; origin: string; source: unknown }) => void): void;
+    removeEventListener(
+      type: 'message',
+      listener: (event: { data: unknown; origin: string; source: unknown }) => void
+    ): void;
+  };
+}
+
+export function createWindowTransport(options: WindowTransportOptions): CommandBusTransport<string | Envelope>;
+export function createMessagePortTransport(options: { port: MessageTargetLike }): CommandBusTransport<string | Envelope>;
+export function createWorkerTransport(options: { worker: MessageTargetLike }): CommandBusTransport<string | Envelope>;
+export function createBroadcastChannelTransport(options: { channel: MessageTargetLike }): CommandBusTransport<string | Envelope>;
+
+export interface EventEmitterLike {
+  on(event: string, listener: (...args: unknown[]) => void): unknown;
+  removeListener(event: string, listener: (...args: unknown[]) => void): unknown;
+}
+
+export interface ChildProcessLike extends EventEmitterLike {
+  send(message: string, callback?: (error: Error | null) => void): unknown;
+  connected?: boolean;
+}
+
+export interface StdioTransportOptions {
+  input: EventEmitterLike;
+  output: EventEmitterLike & { write(chunk: string): unknown; writable?: boolean };
+  maxIncomingMessageBytes?: number;
+  logger?: { error?: (...args: unknown[]) => void };
+}
+
+export function createChildProcessTransport(options: { child: ChildProcessLike }): CommandBusTransport;
+export function createStdioTransport(options: StdioTransportOptions): CommandBusTransport;
+
+export interface SocketLike extends EventEmitterLike {
+  write(chunk: Uint8Array): unknown;
+  writable?: boolean;
+}
+
+export interface SocketTransportOptions {
+  socket: SocketLike;
+  maxIncomingMessageBytes?: number;
+  logger?: { error?: (...args: unknown[]) => void };
+  binary?: boolean;
+}
+
+export type SocketEncoding = 'string' | 'binary';
+
+export type SocketBusConfig<
+  TContracts extends CommandContractMap<TContracts> = DefaultCommandContractMap,
+  TEncoding extends SocketEncoding = 'string'
+> = Omit<CreateCommandBusConfig<TContracts, TEncoding>, 'sendFn' | 'onReceive' | 'onClose'>;
+
+export interface AttachSocketServerOptions<
+  TContracts extends CommandContractMap<TContracts> = DefaultCommandContractMap,
+  TSocket extends SocketLike = SocketLike,
+  TEncoding extends SocketEncoding = 'string'
+> {
+  server: EventEmitterLike;
+  config?: SocketBusConfig<TContracts, TEncoding>;
+  onBus?: (bus: CommandBus<TContracts, TEncoding>, socket: TSocket) => void;
+}
+
+export interface AttachedSocketServer<
+  TContracts extends CommandContractMap<TContracts> = DefaultCommandContractMap,
+  TEncoding extends SocketEncoding = 'string'
+> {
+  readonly buses: ReadonlySet<CommandBus<TContracts, TEncoding>>;
+  close(): void;
+}
+
+export function createSocketTransport(options: SocketTransportOptions): CommandBusTransport<string | Uint8Array>;
+export function attachSocketServer<
+  TContracts extends CommandContractMap<TContracts> = DefaultCommandContractMap,
+  TSocket extends SocketLike = SocketLike,
+  TEncoding extends SocketEncoding = 'string'
+>(options: AttachSocketServerOptions<TContracts, TSocket, TEncoding>): AttachedSocketServer<TContracts, TEncoding>;
+export function encodeLengthPrefixedFrame(message: string | Uint8Array): Uint8Array;
+export function createLengthPrefixedDecoder(options: {
+  maxFrameBytes: number;
+  onFrame: (message: string) => void;
+  onOversized?: (length: number) => void;
+  binary?: false;
+}): (chunk: Uint8Array) => void;
+export function createLengthPrefixedDecoder(options: {
+  maxFrameBytes: number;
+  onFrame: (message: Uint8Array) => void;
+  onOversized?: (length: number) => void;
+  binary: true;
+}): (chunk: Uint8Array) => void;
+
+export type PendingRequestPolicy = 'reject' | 'keep' | 'resend';
+
+export interface WebSocketLike {
+  readonly readyState: number;
+  send(message: string): void;
+  close(): void;
+  addEventListener(type: 'open' | 'message' | 'close' | 'error', listener: (event: { data?: unknown }) => void): void;
+  removeEventListener(type: 'open' | 'message' | 'close' | 'error', listener: (event: { data?: unknown }) => void): void;
+}
+
+export interface WebSocketTransportOptions {
+  url: string | URL;
+  protocols?: string | string[];
+  WebSocket?: new (url: string | URL, protocols?: string | string[]) => WebSocketLike;
+  reconnect?: boolean;
+  minReconnectDelay?: number;
+  maxReconnectDelay?: number;
+  maxReconnectAttempts?: number;
+  maxBufferedMessages?: number;
+  pendingRequestPolicy?: PendingRequestPolicy;
+}
+
+export function createWebSocketTransport(options: WebSocketTransportOptions): CommandBusTransport;
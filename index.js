@@ -1,5 +1,17 @@
 export { createCommandBus } from './src/createCommandBus.js';
 export { createSchemaValidators } from './src/createSchemaValidators.js';
+export { createRichCodec } from './src/codecs/rich.js';
+export { createBinaryCodec } from './src/codecs/binary.js';
+export {
+  createWindowTransport,
+  createMessagePortTransport,
+  createWorkerTransport,
+  createBroadcastChannelTransport
+} from './src/transports/postMessage.js';
+export { createChildProcessTransport, createStdioTransport } from './src/transports/stdio.js';
+export { createSocketTransport, attachSocketServer } from './src/transports/socket.js';
+export { createWebSocketTransport } from './src/transports/webSocket.js';
+export { encodeLengthPrefixedFrame, createLengthPrefixedDecoder } from './src/transports/framing.js';
 export {
   CommandBusError,
   CommandBusDisposedError,
@@ -9,6 +21,11 @@ export {
   CommandBusTimeoutError,
   CommandBusAbortedError,
   CommandBusRemoteError,
+  CommandBusUnhandledError,
+  CommandBusHandshakeError,
+  CommandBusExpiredError,
+  CommandBusDisconnectedError,
+  CommandBusTransportClosedError,
   CommandBusLimitError,
   CsprngUnavailableError
 } from './src/errors.js';
@@ -0,0 +1,350 @@
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder('utf-8', { fatal: true });
+
+const INITIAL_CAPACITY = 256;
+
+const createWriter = () => {
+  let bytes = new Uint8Array(INITIAL_CAPACITY);
+  let view = new DataView(bytes.buffer);
+  let length = 0;
+
+  const reserve = (size) => {
+    if (length + size <= bytes.length) {
+      return;
+    }
+
+    let capacity = bytes.length * 2;
+    while (capacity < length + size) {
+      capacity *= 2;
+    }
+    const grown = new Uint8Array(capacity);
+    grown.set(bytes.subarray(0, length));
+    bytes = grown;
+    view = new DataView(bytes.buffer);
+  };
+
+  const write = (size, set) => {
+    reserve(size);
+    set(view, length);
+    length += size;
+  };
+
+  return {
+    uint8: (value) => write(1, (target, offset) => target.setUint8(offset, value)),
+    uint16: (value) => write(2, (target, offset) => target.setUint16(offset, value)),
+    uint32: (value) => write(4, (target, offset) => target.setUint32(offset, value)),
+    int8: (value) => write(1, (target, offset) => target.setInt8(offset, value)),
+    int16: (value) => write(2, (target, offset) => target.setInt16(offset, value)),
+    int32: (value) => write(4, (target, offset) => target.setInt32(offset, value)),
+    float64: (value) => write(8, (target, offset) => target.setFloat64(offset, value)),
+    bytes: (value) => {
+      reserve(value.length);
+      bytes.set(value, length);
+      length += value.length;
+    },
+    result: () => bytes.slice(0, length)
+  };
+};
+
+// Writes the smallest MessagePack header for a string, binary, array or map of `size` entries.
+const writeHeader = (writer, size, { fix, fixMax, codes }) => {
+  if (fix !== undefined && size <= fixMax) {
+    writer.uint8(fix | size);
+  } else if (codes[0] !== undefined && size <= 0xff) {
+    writer.uint8(codes[0]);
+    writer.uint8(size);
+  } else if (size <= 0xffff) {
+    writer.uint8(codes[1]);
+    writer.uint16(size);
+  } else {
+    writer.uint8(codes[2]);
+    writer.uint32(size);
+  }
+};
+
+const STRING_HEADER = { fix: 0xa0, fixMax: 31, codes: [0xd9, 0xda, 0xdb] };
+const BINARY_HEADER = { codes: [0xc4, 0xc5, 0xc6] };
+const ARRAY_HEADER = { fix: 0x90, fixMax: 15, codes: [undefined, 0xdc, 0xdd] };
+const MAP_HEADER = { fix: 0x80, fixMax: 15, codes: [undefined, 0xde, 0xdf] };
+
+const writeNumber = (writer, value) => {
+  // Like JSON, non-finite numbers become null.
+  if (!Number.isFinite(value)) {
+    writer.uint8(0xc0);
+    return;
+  }
+
+  if (!Number.isInteger(value) || value > 0xffffffff || value < -0x80000000) {
+    writer.uint8(0xcb);
+    writer.float64(value);
+  } else if (value >= 0) {
+    if (value <= 0x7f) {
+      writer.uint8(value);
+    } else if (value <= 0xff) {
+      writer.uint8(0xcc);
+      writer.uint8(value);
+    } else if (value <= 0xffff) {
+      writer.uint8(0xcd);
+      writer.uint16(value);
+    } else {
+      writer.uint8(0xce);
+      writer.uint32(value);
+    }
+  } else if (value >= -32) {
+    writer.int8(value);
+  } else if (value >= -0x80) {
+    writer.uint8(0xd0);
+    writer.int8(value);
+  } else if (value >= -0x8000) {
+    writer.uint8(0xd1);
+    writer.int16(value);
+  } else {
+    writer.uint8(0xd2);
+    writer.int32(value);
+  }
+};
+
+const isSkippedInObject = (value) => value === undefined || typeof value === 'function' || typeof value === 'symbol';
+
+// Follows JSON.stringify semantics (toJSON, dropped undefined/function/symbol properties, null in arrays) so both
+// codecs decode to the same value, except that Uint8Array travels as raw bytes.
+const writeValue = (writer, value, ancestors) => {
+  if (value instanceof Uint8Array) {
+    writeHeader(writer, value.length, BINARY_HEADER);
+    writer.bytes(value);
+    return;
+  }
+
+  if (value !== null && typeof value === 'object' && typeof value.toJSON === 'function') {
+    value = value.toJSON();
+  }
+
+  switch (typeof value) {
+    case 'string': {
+      const encoded = textEncoder.encode(value);
+      writeHeader(writer, encoded.length, STRING_HEADER);
+      writer.bytes(encoded);
+      return;
+    }
+    case 'number':
+      writeNumber(writer, value);
+      return;
+    case 'boolean':
+      writer.uint8(value ? 0xc3 : 0xc2);
+      return;
+    case 'bigint':
+      throw new TypeError('Cannot encode a bigint.');
+    case 'object':
+      break;
+    default:
+      writer.uint8(0xc0);
+      return;
+  }
+
+  if (value === null) {
+    writer.uint8(0xc0);
+    return;
+  }
+
+  if (ancestors.has(value)) {
+    throw new TypeError('Cannot encode a circular structure.');
+  }
+  ancestors.add(value);
+
+  if (Array.isArray(value)) {
+    writeHeader(writer, value.length, ARRAY_HEADER);
+    for (let index = 0; index < value.length; index += 1) {
+      writeValue(writer, value[index], ancestors);
+    }
+  } else {
+    const keys = Object.keys(value).filter((key) => !isSkippedInObject(value[key]));
+    writeHeader(writer, keys.length, MAP_HEADER);
+    for (const key of keys) {
+      writeValue(writer, key, ancestors);
+      writeValue(writer, value[key], ancestors);
+    }
+  }
+
+  ancestors.delete(value);
+};
+
+const createReader = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 0;
+
+  const take = (size) => {
+    if (offset + size > bytes.length) {
+      throw new RangeError('Unexpected end of binary message.');
+    }
+    const start = offset;
+    offset += size;
+    return start;
+  };
+
+  return {
+    uint8: () => view.getUint8(take(1)),
+    uint16: () => view.getUint16(take(2)),
+    uint32: () => view.getUint32(take(4)),
+    int8: () => view.getInt8(take(1)),
+    int16: () => view.getInt16(take(2)),
+    int32: () => view.getInt32(take(4)),
+    float32: () => view.getFloat32(take(4)),
+    float64: () => view.getFloat64(take(8)),
+    bigUint64: () => view.getBigUint64(take(8)),
+    bigInt64: () => view.getBigInt64(take(8)),
+    bytes: (size) => {
+      const start = take(size);
+      return bytes.subarray(start, start + size);
+    },
+    // Every entry takes at least one byte, so larger counts can only come from a corrupt or hostile header.
+    assertEntries: (count) => {
+      if (count > bytes.length - offset) {
+        throw new RangeError('Binary message announces more entries than it contains.');
+      }
+    },
+    remaining: () => bytes.length - offset
+  };
+};
+
+const toSafeInteger = (value) => {
+  if (value > BigInt(Number.MAX_SAFE_INTEGER) || value < BigInt(Number.MIN_SAFE_INTEGER)) {
+    throw new RangeError('64-bit integer is outside the safe integer range.');
+  }
+  return Number(value);
+};
+
+const readString = (reader, size) => textDecoder.decode(reader.bytes(size));
+
+const readArray = (reader, count) => {
+  reader.assertEntries(count);
+  const result = [];
+  for (let index = 0; index < count; index += 1) {
+    result.push(readValue(reader));
+  }
+  return result;
+};
+
+const readMap = (reader, count) => {
+  reader.assertEntries(count * 2);
+  const result = {};
+  for (let index = 0; index < count; index += 1) {
+    const key = readValue(reader);
+    if (typeof key !== 'string') {
+      throw new TypeError('Binary message map keys must be strings.');
+    }
+    const value = readValue(reader);
+    // Same as JSON.parse: an own `__proto__` property, never a prototype change.
+    Object.defineProperty(result, key, { value, enumerable: true, writable: true, configurable: true });
+  }
+  return result;
+};
+
+const readValue = (reader) => {
+  const code = reader.uint8();
+
+  if (code <= 0x7f) {
+    return code;
+  }
+  if (code >= 0xe0) {
+    return code - 0x100;
+  }
+  if (code >= 0xa0 && code <= 0xbf) {
+    return readString(reader, code & 0x1f);
+  }
+  if (code >= 0x90 && code <= 0x9f) {
+    return readArray(reader, code & 0x0f);
+  }
+  if (code >= 0x80 && code <= 0x8f) {
+    return readMap(reader, code & 0x0f);
+  }
+
+  switch (code) {
+    case 0xc0:
+      return null;
+    case 0xc2:
+      return false;
+    case 0xc3:
+      return true;
+    case 0xc4:
+      return reader.bytes(reader.uint8()).slice();
+    case 0xc5:
+      return reader.bytes(reader.uint16()).slice();
+    case 0xc6:
+      return reader.bytes(reader.uint32()).slice();
+    case 0xca:
+      return reader.float32();
+    case 0xcb:
+      return reader.float64();
+    case 0xcc:
+      return reader.uint8();
+    case 0xcd:
+      return reader.uint16();
+    case 0xce:
+      return reader.uint32();
+    case 0xcf:
+      return toSafeInteger(reader.bigUint64());
+    case 0xd0:
+      return reader.int8();
+    case 0xd1:
+      return reader.int16();
+    case 0xd2:
+      return reader.int32();
+    case 0xd3:
+      return toSafeInteger(reader.bigInt64());
+    case 0xd9:
+      return readString(reader, reader.uint8());
+    case 0xda:
+      return readString(reader, reader.uint16());
+    case 0xdb:
+      return readString(reader, reader.uint32());
+    case 0xdc:
+      return readArray(reader, reader.uint16());
+    case 0xdd:
+      return readArray(reader, reader.uint32());
+    case 0xde:
+      return readMap(reader, reader.uint16());
+    case 0xdf:
+      return readMap(reader, reader.uint32());
+    default:
+      throw new TypeError(`Unsupported binary type byte 0x${code.toString(16)}.`);
+  }
+};
+
+const toBytes = (raw) => {
+  if (raw instanceof Uint8Array) {
+    return raw;
+  }
+  if (raw instanceof ArrayBuffer) {
+    return new Uint8Array(raw);
+  }
+  if (ArrayBuffer.isView(raw)) {
+    return new Uint8Array(raw.buffer, raw.byteOffset, raw.byteLength);
+  }
+  throw new TypeError('Binary messages must be a Uint8Array, ArrayBuffer or ArrayBuffer view.');
+};
+
+/**
+ * Dependency-free MessagePack-subset codec. Spread it into `createCommandBus` to set `encoding: 'binary'`, so
+ * `sendFn` receives `Uint8Array`s and `receive` accepts them. Values follow the JSON data model, plus `Uint8Array`
+ * as raw bytes.
+ *
+ * @returns {{ encoding: 'binary', parser: (raw: Uint8Array | ArrayBuffer) => object, serializer: (message: object) => Uint8Array }}
+ */
+export function createBinaryCodec() {
+  return {
+    encoding: 'binary',
+    parser: (raw) => {
+      const reader = createReader(toBytes(raw));
+      const value = readValue(reader);
+      if (reader.remaining() > 0) {
+        throw new RangeError('Unexpected trailing bytes in binary message.');
+      }
+      return value;
+    },
+    serializer: (message) => {
+      const writer = createWriter();
+      writeValue(writer, message, new Set());
+      return writer.result();
+    }
+  };
+}
@@ -0,0 +1,268 @@
+const TAG = '$type';
+
+const TYPED_ARRAYS = [
+  Int8Array,
+  Uint8Array,
+  Uint8ClampedArray,
+  Int16Array,
+  Uint16Array,
+  Int32Array,
+  Uint32Array,
+  Float32Array,
+  Float64Array,
+  BigInt64Array,
+  BigUint64Array
+];
+
+const BASE64_CHUNK = 0x8000;
+
+const toBase64 = (bytes) => {
+  let binary = '';
+  for (let offset = 0; offset < bytes.length; offset += BASE64_CHUNK) {
+    binary += String.fromCharCode(...bytes.subarray(offset, offset + BASE64_CHUNK));
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => {
+  if (typeof text !== 'string') {
+    throw new TypeError('Binary values must be base64 strings.');
+  }
+  return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+};
+
+const isObjectLike = (value) => value !== null && typeof value === 'object';
+
+// `__proto__` would replace the prototype of the object it is assigned to, and `constructor.prototype` is the
+// path naive deep merges follow to Object.prototype. Both are dropped on either side.
+const isPollutingEntry = (key, value) =>
+  key === '__proto__' || (key === 'constructor' && isObjectLike(value) && Object.hasOwn(value, 'prototype'));
+
+const tagged = (type, value) => (value === undefined ? { [TAG]: type } : { [TAG]: type, value });
+
+const encodeNumber = (value) => {
+  if (Object.is(value, -0)) {
+    return tagged('Number', '-0');
+  }
+  return Number.isFinite(value) ? value : tagged('Number', String(value));
+};
+
+const encodeBinary = (value) => {
+  if (value instanceof ArrayBuffer) {
+    return tagged('ArrayBuffer', toBase64(new Uint8Array(value)));
+  }
+
+  const bytes = toBase64(new Uint8Array(value.buffer, value.byteOffset, value.byteLength));
+  if (value instanceof DataView) {
+    return tagged('DataView', bytes);
+  }
+
+  const TypedArray = TYPED_ARRAYS.find((Class) => value instanceof Class);
+  if (!TypedArray) {
+    throw new TypeError('Cannot encode an unknown ArrayBuffer view.');
+  }
+  return tagged(TypedArray.name, bytes);
+};
+
+// Containers get reference ids in depth-first visiting order, so repeated and cyclic references encode the same
+// way every time and decode back to the same object.
+const encodeValue = (value, refs) => {
+  switch (typeof value) {
+    case 'undefined':
+      return tagged('undefined');
+    case 'number':
+      return encodeNumber(value);
+    case 'bigint':
+      return tagged('BigInt', value.toString());
+    case 'function':
+    case 'symbol':
+      throw new TypeError(`Cannot encode a ${typeof value}.`);
+    case 'object':
+      break;
+    default:
+      return value;
+  }
+
+  if (value === null) {
+    return null;
+  }
+
+  if (refs.has(value)) {
+    return tagged('Ref', refs.get(value));
+  }
+
+  if (value instanceof Date) {
+    return tagged('Date', Number.isNaN(value.getTime()) ? null : value.toISOString());
+  }
+
+  if (value instanceof RegExp) {
+    return tagged('RegExp', [value.source, value.flags]);
+  }
+
+  if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+    return encodeBinary(value);
+  }
+
+  refs.set(value, refs.size);
+
+  if (Array.isArray(value)) {
+    return Array.from(value, (item) => encodeValue(item, refs));
+  }
+
+  if (value instanceof Map) {
+    return tagged('Map', Array.from(value, ([key, item]) => [encodeValue(key, refs), encodeValue(item, refs)]));
+  }
+
+  if (value instanceof Set) {
+    return tagged('Set', Array.from(value, (item) => encodeValue(item, refs)));
+  }
+
+  const entries = Object.create(null);
+  for (const key of Object.keys(value)) {
+    if (!isPollutingEntry(key, value[key])) {
+      entries[key] = encodeValue(value[key], refs);
+    }
+  }
+
+  // Plain objects that happen to carry the tag key are wrapped so they are not mistaken for tagged values.
+  return Object.hasOwn(entries, TAG) ? tagged('Object', entries) : entries;
+};
+
+const assertArray = (value, type) => {
+  if (!Array.isArray(value)) {
+    throw new TypeError(`Tagged ${type} value must be an array.`);
+  }
+  return value;
+};
+
+const decodeEntries = (source, seen) => {
+  if (!isObjectLike(source) || Array.isArray(source)) {
+    throw new TypeError('Tagged Object value must be an object.');
+  }
+
+  const result = {};
+  seen.push(result);
+  for (const key of Object.keys(source)) {
+    const value = decodeValue(source[key], seen);
+    if (!isPollutingEntry(key, value)) {
+      result[key] = value;
+    }
+  }
+  return result;
+};
+
+const decodeBinary = (Class) => (value) => {
+  const bytes = fromBase64(value);
+  if (Class === ArrayBuffer) {
+    return bytes.buffer;
+  }
+  if (Class === DataView) {
+    return new DataView(bytes.buffer);
+  }
+  return new Class(bytes.buffer);
+};
+
+const NUMBERS = new Map([
+  ['NaN', NaN],
+  ['Infinity', Infinity],
+  ['-Infinity', -Infinity],
+  ['-0', -0]
+]);
+
+const REVIVERS = new Map([
+  ['undefined', () => undefined],
+  [
+    'Number',
+    (value) => {
+      if (!NUMBERS.has(value)) {
+        throw new TypeError(`Unknown tagged Number value "${value}".`);
+      }
+      return NUMBERS.get(value);
+    }
+  ],
+  ['BigInt', (value) => BigInt(value)],
+  ['Date', (value) => new Date(value ?? NaN)],
+  [
+    'RegExp',
+    (value) => {
+      const [source, flags] = assertArray(value, 'RegExp');
+      return new RegExp(source, flags);
+    }
+  ],
+  [
+    'Ref',
+    (value, seen) => {
+      if (!Number.isInteger(value) || value < 0 || value >= seen.length) {
+        throw new TypeError(`Unknown reference ${value}.`);
+      }
+      return seen[value];
+    }
+  ],
+  [
+    'Map',
+    (value, seen) => {
+      const result = new Map();
+      seen.push(result);
+      for (const entry of assertArray(value, 'Map')) {
+        const [key, item] = assertArray(entry, 'Map entry');
+        const decodedKey = decodeValue(key, seen);
+        result.set(decodedKey, decodeValue(item, seen));
+      }
+      return result;
+    }
+  ],
+  [
+    'Set',
+    (value, seen) => {
+      const result = new Set();
+      seen.push(result);
+      for (const item of assertArray(value, 'Set')) {
+        result.add(decodeValue(item, seen));
+      }
+      return result;
+    }
+  ],
+  ['Object', decodeEntries],
+  ['ArrayBuffer', decodeBinary(ArrayBuffer)],
+  ['DataView', decodeBinary(DataView)],
+  ...TYPED_ARRAYS.map((Class) => [Class.name, decodeBinary(Class)])
+]);
+
+const decodeValue = (value, seen) => {
+  if (!isObjectLike(value)) {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    const result = [];
+    seen.push(result);
+    for (const item of value) {
+      result.push(decodeValue(item, seen));
+    }
+    return result;
+  }
+
+  if (!Object.hasOwn(value, TAG)) {
+    return decodeEntries(value, seen);
+  }
+
+  const revive = REVIVERS.get(value[TAG]);
+  if (!revive) {
+    throw new TypeError(`Unknown ${TAG} tag "${value[TAG]}".`);
+  }
+  return revive(value.value, seen);
+};
+
+/**
+ * JSON-based parser/serializer pair that round-trips Date, Map, Set, BigInt, typed arrays, ArrayBuffer, DataView,
+ * RegExp, NaN, Infinity, -0, `undefined` and repeated or cyclic references. Spread it into `createCommandBus` on both
+ * sides.
+ *
+ * @returns {{ parser: (raw: string) => object, serializer: (message: object) => string }}
+ */
+export function createRichCodec() {
+  return {
+    parser: (raw) => decodeValue(JSON.parse(raw), []),
+    serializer: (message) => JSON.stringify(encodeValue(message, new Map()))
+  };
+}
@@ -1,24 +1,48 @@
-import { CommandBusDisposedError } from './errors.js';
-import { validateCreateConfig } from './internal/config.js';
+import {
+  CommandBusDisconnectedError,
+  CommandBusDisposedError,
+  CommandBusExpiredError,
+  CommandBusTransportClosedError
+} from './errors.js';
+import { validateCreateConfig, validateTransport } from './internal/config.js';
 import { createDisposalController } from './internal/disposal.js';
+import { createErrorCodec } from './internal/errorCodec.js';
+import { createFragmenter, createReassembler } from './internal/fragments.js';
 import { createHandlerRegistry } from './internal/handlers.js';
+import { createHandshake } from './internal/handshake.js';
+import { createHeartbeat } from './internal/heartbeat.js';
+import { createMiddlewareRegistry } from './internal/middleware.js';
+import { createOutbox } from './internal/outbox.js';
+import { createPeerEvents } from './internal/peerEvents.js';
+import { createInboundRequestsStore } from './internal/inboundRequests.js';
 import {
   createPayloadValidator
 } from './internal/message.js';
 import { createPendingRequestsStore } from './internal/pendingRequests.js';
 import { createReceive } from './internal/receive.js';
 import { createRequestIdGenerator } from './internal/requestId.js';
-import { createRequest } from './internal/request.js';
+import { createRequest, createRequestStream } from './internal/request.js';
 import { createSendEnvelope, createSendResponse } from './internal/send.js';
 import {
+  DEFAULT_ENCODING,
+  DEFAULT_FRAGMENT_TIMEOUT_MS,
+  DEFAULT_MAX_CONCURRENT_REASSEMBLIES,
   DEFAULT_MAX_INCOMING_MESSAGE_BYTES,
+  DEFAULT_MAX_META_BYTES,
+  DEFAULT_MAX_MISSED_HEARTBEATS,
+  DEFAULT_MAX_OUTBOX_MESSAGES,
   DEFAULT_MAX_PENDING_REQUESTS,
+  DEFAULT_OUTBOX_TTL_MS,
+  DEFAULT_REQUEST_TIMEOUT_FROM,
   DEFAULT_RESPONSE_SUFFIX,
   DEFAULT_RESPONSE_TRUST_MODE,
+  DEFAULT_UNHANDLED_REQUEST_MODE,
   NOOP_LOGGER,
   getCsprng,
   CsprngUnavailableError,
-  isNonEmptyString
+  isNonEmptyString,
+  isObject,
+  isPromiseLike
 } from './internal/shared.js';
 
 const NOOP_RESPONSE_TRUST_GUARD = () => true;
@@ -27,22 +51,45 @@ const NOOP_RESPONSE_TRUST_GUARD = () => true;
  * Creates a message bus for cross-context communication.
  *
  * @param {object} config
- * @param {(message: string) => void} config.sendFn
- * @param {(handler: (raw: string | object) => void) => (void | (() => void))} [config.onReceive]
+ * @param {(message: string | object | Uint8Array) => void} config.sendFn
+ * @param {(handler: (raw: string | object | Uint8Array, sender?: unknown) => void) => (void | (() => void))} [config.onReceive]
+ * @param {(handler: (reason?: unknown) => void) => (void | (() => void))} [config.onClose]
+ * @param {(handler: () => void) => (void | (() => void))} [config.onReconnect]
  * @param {string[]} [config.allowedTypes]
  * @param {Record<string, (payload: unknown) => boolean>} [config.validators]
- * @param {(raw: string) => object} [config.parser]
- * @param {(message: object) => string} [config.serializer]
+ * @param {(raw: string | Uint8Array) => object} [config.parser]
+ * @param {(message: object) => string | Uint8Array} [config.serializer]
  * @param {{ error?: (...args: unknown[]) => void, warn?: (...args: unknown[]) => void, info?: (...args: unknown[]) => void, debug?: (...args: unknown[]) => void }} [config.logger]
  * @param {string} [config.responseSuffix]
  * @param {number} [config.maxIncomingMessageBytes]
  * @param {number} [config.maxPendingRequests]
  * @param {'auto' | 'strict' | 'permissive'} [config.responseTrustMode]
- * @param {(info: { requestType: string, requestId: string, responseType: string, requestNonce: string, responseNonce?: string, payload: unknown, isError: boolean, raw: string | object }) => boolean} [config.isTrustedResponse]
+ * @param {(info: { requestType: string, requestId: string, responseType: string, requestNonce: string, responseNonce?: string, payload: unknown, isError: boolean, meta?: Record<string, string | number | boolean | null>, raw: string | object, sender?: unknown }) => boolean} [config.isTrustedResponse]
+ * @param {'reply' | 'silent'} [config.unhandledRequestMode]
+ * @param {Record<string, new (message?: string, options?: { cause?: unknown }) => Error>} [config.errorClasses]
+ * @param {boolean} [config.exposeErrorStack]
+ * @param {Record<string, string | number | boolean | null>} [config.defaultMeta]
+ * @param {number} [config.maxMetaBytes]
+ * @param {boolean} [config.handshake]
+ * @param {boolean} [config.outbox]
+ * @param {number} [config.maxOutboxMessages]
+ * @param {number} [config.outboxTtl]
+ * @param {'enqueue' | 'flush'} [config.requestTimeoutFrom]
+ * @param {number} [config.heartbeatInterval]
+ * @param {number} [config.maxMissedHeartbeats]
+ * @param {boolean} [config.rejectPendingOnPeerLost]
+ * @param {'string' | 'object' | 'binary'} [config.encoding]
+ * @param {number} [config.maxFragmentBytes]
+ * @param {number} [config.maxReassembledMessageBytes]
+ * @param {number} [config.fragmentTimeout]
+ * @param {number} [config.maxConcurrentReassemblies]
+ * @param {number} [config.maxReassemblyBufferBytes]
  */
 export function createCommandBus({
   sendFn,
   onReceive,
+  onClose,
+  onReconnect,
   allowedTypes = [],
   validators = {},
   parser = JSON.parse,
@@ -52,11 +99,33 @@ export function createCommandBus({
   maxIncomingMessageBytes = DEFAULT_MAX_INCOMING_MESSAGE_BYTES,
   maxPendingRequests = DEFAULT_MAX_PENDING_REQUESTS,
   responseTrustMode = DEFAULT_RESPONSE_TRUST_MODE,
-  isTrustedResponse = NOOP_RESPONSE_TRUST_GUARD
+  isTrustedResponse = NOOP_RESPONSE_TRUST_GUARD,
+  unhandledRequestMode = DEFAULT_UNHANDLED_REQUEST_MODE,
+  errorClasses = {},
+  exposeErrorStack = false,
+  defaultMeta = {},
+  maxMetaBytes = DEFAULT_MAX_META_BYTES,
+  handshake: handshakeEnabled = false,
+  outbox: outboxEnabled = false,
+  maxOutboxMessages = DEFAULT_MAX_OUTBOX_MESSAGES,
+  outboxTtl = DEFAULT_OUTBOX_TTL_MS,
+  requestTimeoutFrom = DEFAULT_REQUEST_TIMEOUT_FROM,
+  heartbeatInterval = 0,
+  maxMissedHeartbeats = DEFAULT_MAX_MISSED_HEARTBEATS,
+  rejectPendingOnPeerLost = false,
+  encoding = DEFAULT_ENCODING,
+  maxFragmentBytes = 0,
+  // Fragments must not get around the incoming limit unless a larger reassembled size is opted into.
+  maxReassembledMessageBytes = maxIncomingMessageBytes,
+  fragmentTimeout = DEFAULT_FRAGMENT_TIMEOUT_MS,
+  maxConcurrentReassemblies = DEFAULT_MAX_CONCURRENT_REASSEMBLIES,
+  maxReassemblyBufferBytes = 4 * maxReassembledMessageBytes
 }) {
   validateCreateConfig({
     sendFn,
     onReceive,
+    onClose,
+    onReconnect,
     allowedTypes,
     validators,
     parser,
@@ -65,13 +134,37 @@ export function createCommandBus({
     maxIncomingMessageBytes,
     maxPendingRequests,
     responseTrustMode,
-    isTrustedResponse
+    isTrustedResponse,
+    unhandledRequestMode,
+    errorClasses,
+    exposeErrorStack,
+    defaultMeta,
+    maxMetaBytes,
+    handshake: handshakeEnabled,
+    outbox: outboxEnabled,
+    maxOutboxMessages,
+    outboxTtl,
+    requestTimeoutFrom,
+    heartbeatInterval,
+    maxMissedHeartbeats,
+    rejectPendingOnPeerLost,
+    encoding,
+    maxFragmentBytes,
+    maxReassembledMessageBytes,
+    fragmentTimeout,
+    maxConcurrentReassemblies,
+    maxReassemblyBufferBytes
   });
 
-  const isStrictResponseTrust =
-    responseTrustMode === 'strict' || (responseTrustMode === 'auto' && typeof onReceive === 'function');
+  // `auto` is strict by default for cross-context transports (those with `onReceive`), so it follows the transport.
+  const getStrictResponseTrustByDefault = (transport) =>
+    responseTrustMode === 'strict' || (responseTrustMode === 'auto' && typeof transport.onReceive === 'function');
+
+  const assertStrictTrustSupported = (isStrict) => {
+    if (!isStrict) {
+      return;
+    }
 
-  if (isStrictResponseTrust) {
     try {
       getCsprng({ requireSecure: true });
     } catch (err) {
@@ -84,22 +177,30 @@ export function createCommandBus({
       }
       throw err;
     }
-  }
+  };
+
+  let isStrictResponseTrustByDefault = getStrictResponseTrustByDefault({ onReceive });
+  assertStrictTrustSupported(isStrictResponseTrustByDefault);
 
   const pendingRequests = createPendingRequestsStore();
+  const inboundRequests = createInboundRequestsStore({ maxEntries: maxPendingRequests });
   const validatePayload = createPayloadValidator(validators);
+  const errorCodec = createErrorCodec({ errorClasses, exposeErrorStack });
   const generateId = createRequestIdGenerator();
   const allowAllTypes = allowedTypes.length === 0;
   const allowedTypeSet = new Set(allowedTypes);
   const isAllowedType = (type) => allowAllTypes || allowedTypeSet.has(type);
   const disposal = createDisposalController();
-  const { handlers, on, once, off, clear: clearHandlers } = createHandlerRegistry({
+  const middleware = createMiddlewareRegistry({ assertNotDisposed: disposal.assertNotDisposed });
+  const { handlers, responders, on, once, handle, off, clear: clearHandlers } = createHandlerRegistry({
     assertNotDisposed: disposal.assertNotDisposed,
     isAllowedType
   });
-  let unsubscribeReceive;
+  let transportSendFn = sendFn;
+  let detachTransport;
 
   const getResponseType = (type) => `${type}${responseSuffix}`;
+  const isResponseType = (type) => type.endsWith(responseSuffix);
 
   const safeLogError = (...args) => {
     if (logger && typeof logger.error === 'function') {
@@ -107,35 +208,125 @@ export function createCommandBus({
     }
   };
 
+  const peerEvents = createPeerEvents({ safeLogError });
+  const sendThroughTransport = (...args) => transportSendFn(...args);
+  const reassembler = createReassembler({
+    maxMessageBytes: maxReassembledMessageBytes,
+    maxMessages: maxConcurrentReassemblies,
+    maxBufferedBytes: maxReassemblyBufferBytes,
+    timeout: fragmentTimeout,
+    safeLogError
+  });
+
+  const outbox = createOutbox({
+    enabled: outboxEnabled,
+    maxMessages: maxOutboxMessages,
+    ttl: outboxTtl,
+    safeLogError
+  });
+
   const sendEnvelope = createSendEnvelope({
     assertNotDisposed: disposal.assertNotDisposed,
     isAllowedType,
+    isResponseType,
     validatePayload,
+    defaultMeta,
+    maxMetaBytes,
+    outbox,
+    runOutbound: middleware.runOutbound,
     serializer,
-    sendFn
+    encoding,
+    toTransportMessages: createFragmenter({ maxFragmentBytes, serializer }),
+    sendFn: sendThroughTransport
+  });
+  const sendResponse = createSendResponse({ getResponseType, sendEnvelope, safeLogError });
+  const heartbeat = createHeartbeat({
+    interval: heartbeatInterval,
+    maxMissed: maxMissedHeartbeats,
+    sendEnvelope,
+    onPeerLost: (missed) => {
+      if (rejectPendingOnPeerLost) {
+        pendingRequests.rejectAll(new CommandBusDisconnectedError(missed));
+      }
+    },
+    emit: peerEvents.emit,
+    safeLogError
+  });
+  const handshake = createHandshake({
+    enabled: handshakeEnabled,
+    sendEnvelope,
+    getHandledTypes: () => [...new Set([...responders.keys(), ...handlers.keys()])],
+    safeLogError
   });
-  const sendResponse = createSendResponse({ getResponseType, sendEnvelope });
 
-  const send = (type, payload) => {
+  const send = (type, payload, options = {}) => {
     if (!isNonEmptyString(type)) {
       throw new TypeError('`type` must be a non-empty string.');
     }
 
-    sendEnvelope({ type, payload });
+    if (!isObject(options)) {
+      throw new TypeError('Send options must be an object.');
+    }
+
+    const result = sendEnvelope(
+      { type, payload },
+      { meta: options.meta, transfer: options.transfer, holdUntilReady: true }
+    );
+    if (isPromiseLike(result)) {
+      // Queued sends are usually fire-and-forget, so failures are logged here. Expiry is already logged by the outbox
+      // and disposal is expected.
+      result.catch((error) => {
+        if (!(error instanceof CommandBusExpiredError) && !(error instanceof CommandBusDisposedError)) {
+          safeLogError(`[SimplexBus] Failed to send message for type "${type}"`, error);
+        }
+      });
+    }
+    return result;
   };
 
-  const request = createRequest({
+  const requestDeps = {
     assertNotDisposed: disposal.assertNotDisposed,
     pendingRequests,
     maxPendingRequests,
     getResponseType,
     generateId,
-    sendEnvelope
-  });
+    sendEnvelope,
+    requestTimeoutFrom,
+    safeLogError
+  };
+  const request = createRequest(requestDeps);
+  const requestStream = createRequestStream(requestDeps);
+
+  // In `auto` mode a peer advertising `nonce` turns strict checks on. A hello can only tighten trust, never relax
+  // a bus that is strict by default.
+  const isStrictResponseTrust = () =>
+    isStrictResponseTrustByDefault ||
+    (responseTrustMode === 'auto' && handshake.getPeer()?.features.includes('nonce') === true);
+
+  // Replays the exact messages the request was sent as, fragments included, so middleware does not run twice and a
+  // transport still buffering them can recognize them. Streams are not replayed because chunks already received
+  // would be delivered again.
+  const resendPendingRequests = () => {
+    let resent = 0;
+    for (const pending of pendingRequests.values()) {
+      if (pending.messages === undefined || pending.stream) {
+        continue;
+      }
+
+      try {
+        pending.messages.forEach((message) => sendThroughTransport(message));
+        resent += 1;
+      } catch (error) {
+        safeLogError(`[SimplexBus] Failed to resend request for type "${pending.type}"`, error);
+      }
+    }
+    return resent;
+  };
 
   const receive = createReceive({
     isDisposed: disposal.isDisposed,
     maxIncomingMessageBytes,
+    maxMetaBytes,
     parser,
     safeLogError,
     pendingRequests,
@@ -144,33 +335,149 @@ export function createCommandBus({
     validatePayload,
     isAllowedType,
     handlers,
-    sendResponse
+    responders,
+    inboundRequests,
+    isResponseType,
+    replyToUnhandled: unhandledRequestMode === 'reply',
+    errorCodec,
+    runInbound: middleware.runInbound,
+    sendResponse,
+    receiveHello: handshake.receiveHello,
+    receiveHeartbeat: heartbeat.receive,
+    reassemble: reassembler.receive
   });
 
   const dispose = () => {
     disposal.dispose(() => {
       pendingRequests.rejectAll(new CommandBusDisposedError('Bus disposed while awaiting response.'));
+      inboundRequests.abortAll(new CommandBusDisposedError('Bus disposed while handling request.'));
+      handshake.dispose(new CommandBusDisposedError('Bus disposed before the handshake completed.'));
+      outbox.clear(new CommandBusDisposedError('Bus disposed before the message was flushed.'));
+      heartbeat.stop();
+      reassembler.clear();
+      peerEvents.clear();
       clearHandlers();
+      middleware.clear();
+      detachTransport();
+    });
+  };
+
+  const attachTransport = (transport) => {
+    const unsubscribes = [];
+
+    if (transport.onReceive) {
+      unsubscribes.push(transport.onReceive(receive));
+    }
+
+    // Responses cannot arrive over a closed transport, so waiting for the timeout would only delay the failure.
+    if (transport.onClose) {
+      unsubscribes.push(
+        transport.onClose((reason) => {
+          if (!disposal.isDisposed()) {
+            pendingRequests.rejectAll(new CommandBusTransportClosedError(reason));
+          }
+        })
+      );
+    }
+
+    if (transport.onReconnect) {
+      unsubscribes.push(
+        transport.onReconnect(() => {
+          if (!disposal.isDisposed()) {
+            resendPendingRequests();
+          }
+        })
+      );
+    }
 
-      if (typeof unsubscribeReceive === 'function') {
-        unsubscribeReceive();
+    transportSendFn = transport.sendFn;
+    detachTransport = () => {
+      for (const unsubscribe of unsubscribes) {
+        if (typeof unsubscribe === 'function') {
+          unsubscribe();
+        }
       }
+      unsubscribes.length = 0;
+    };
+  };
 
-      unsubscribeReceive = undefined;
-    });
+  attachTransport({ sendFn, onReceive, onClose, onReconnect });
+
+  const setTransport = (transport, options = {}) => {
+    disposal.assertNotDisposed();
+
+    if (!isObject(transport)) {
+      throw new TypeError('`transport` must be an object.');
+    }
+
+    validateTransport(transport);
+
+    if (!isObject(options)) {
+      throw new TypeError('setTransport options must be an object.');
+    }
+
+    if (options.resendPending !== undefined && typeof options.resendPending !== 'boolean') {
+      throw new TypeError('`resendPending` must be a boolean when provided.');
+    }
+
+    const isStrictByDefault = getStrictResponseTrustByDefault(transport);
+    assertStrictTrustSupported(isStrictByDefault);
+
+    peerEvents.emit('transport-changing', {});
+    detachTransport();
+    attachTransport(transport);
+    isStrictResponseTrustByDefault = isStrictByDefault;
+
+    const resent = options.resendPending ? resendPendingRequests() : 0;
+    // The peer behind the new transport may be a fresh instance that never saw our hello.
+    handshake.reset();
+    handshake.start();
+    peerEvents.emit('transport-changed', { resent });
   };
 
-  if (onReceive) {
-    unsubscribeReceive = onReceive(receive);
+  if (handshakeEnabled) {
+    handshake.ready.then(outbox.open, outbox.fail);
   }
 
+  const markReady = () => {
+    disposal.assertNotDisposed();
+    outbox.open();
+  };
+
+  // Deferred so handlers registered right after creation are advertised in the first hello.
+  Promise.resolve().then(() => {
+    if (!disposal.isDisposed()) {
+      handshake.start();
+      heartbeat.start();
+    }
+  });
+
   return {
     send,
     request,
+    requestStream,
     receive,
     on,
     once,
+    handle,
     off,
-    dispose
+    use: middleware.use,
+    markReady,
+    setTransport,
+    onPeerEvent: (event, listener) => {
+      disposal.assertNotDisposed();
+      return peerEvents.on(event, listener);
+    },
+    dispose,
+    ready: handshake.ready,
+    get peer() {
+      return handshake.getPeer();
+    },
+    get peerStatus() {
+      return heartbeat.getStatus();
+    },
+    get rtt() {
+      return heartbeat.getRtt();
+    }
   };
 }
@@ -13,6 +13,7 @@ export class CommandBusValidationError extends CommandBusError {
     if (Object.prototype.hasOwnProperty.call(options, 'details')) {
       this.details = options.details;
     }
+    this.remote = options.remote === true;
   }
 }
 
@@ -43,6 +44,43 @@ export class CommandBusRemoteError extends CommandBusError {
   }
 }
 
+export class CommandBusUnhandledError extends CommandBusError {
+  constructor(type, code) {
+    super(`Remote peer did not handle request type "${type}" (${code})`);
+    this.type = type;
+    this.code = code;
+  }
+}
+
+export class CommandBusExpiredError extends CommandBusError {
+  constructor(type, ttl) {
+    super(`Outbox message for type "${type}" expired after ${ttl}ms`);
+    this.type = type;
+    this.ttl = ttl;
+  }
+}
+
+export class CommandBusHandshakeError extends CommandBusError {
+  constructor(protocol, peerProtocol) {
+    super(`Peer speaks protocol version ${peerProtocol}, expected ${protocol}`);
+    this.protocol = protocol;
+    this.peerProtocol = peerProtocol;
+  }
+}
+
+export class CommandBusDisconnectedError extends CommandBusError {
+  constructor(missedHeartbeats) {
+    super(`Peer declared lost after ${missedHeartbeats} missed heartbeats`);
+    this.missedHeartbeats = missedHeartbeats;
+  }
+}
+
+export class CommandBusTransportClosedError extends CommandBusError {
+  constructor(cause) {
+    super('Transport closed', cause === undefined ? {} : { cause });
+  }
+}
+
 export class CommandBusLimitError extends CommandBusError {}
 
 export { CsprngUnavailableError } from './internal/shared.js';
@@ -1,13 +1,24 @@
+import { getMetaViolation } from './message.js';
 import {
   DEFAULT_REQUEST_TIMEOUT_MS,
+  ENCODINGS,
+  REQUEST_TIMEOUT_FROM_VALUES,
   RESPONSE_TRUST_MODES,
+  UNHANDLED_REQUEST_MODES,
   isNonEmptyString,
   isObject
 } from './shared.js';
 
 export const parseRequestOptions = (optionsOrTimeout) => {
   if (typeof optionsOrTimeout === 'number' || optionsOrTimeout === undefined) {
-    return { timeout: optionsOrTimeout ?? DEFAULT_REQUEST_TIMEOUT_MS, signal: undefined };
+    return {
+      timeout: optionsOrTimeout ?? DEFAULT_REQUEST_TIMEOUT_MS,
+      signal: undefined,
+      onProgress: undefined,
+      keepAlive: false,
+      meta: undefined,
+      transfer: undefined
+    };
   }
 
   if (!isObject(optionsOrTimeout)) {
@@ -17,13 +28,37 @@ export const parseRequestOptions = (optionsOrTimeout) => {
   const timeout = optionsOrTimeout.timeout ?? DEFAULT_REQUEST_TIMEOUT_MS;
   return {
     timeout,
-    signal: optionsOrTimeout.signal
+    signal: optionsOrTimeout.signal,
+    onProgress: optionsOrTimeout.onProgress,
+    keepAlive: optionsOrTimeout.keepAlive ?? false,
+    meta: optionsOrTimeout.meta,
+    transfer: optionsOrTimeout.transfer
   };
 };
 
+export const validateTransport = ({ sendFn, onReceive, onClose, onReconnect }) => {
+  if (typeof sendFn !== 'function') {
+    throw new TypeError('`sendFn` must be a function.');
+  }
+
+  if (onReceive !== undefined && typeof onReceive !== 'function') {
+    throw new TypeError('`onReceive` must be a function when provided.');
+  }
+
+  if (onClose !== undefined && typeof onClose !== 'function') {
+    throw new TypeError('`onClose` must be a function when provided.');
+  }
+
+  if (onReconnect !== undefined && typeof onReconnect !== 'function') {
+    throw new TypeError('`onReconnect` must be a function when provided.');
+  }
+};
+
 export const validateCreateConfig = ({
   sendFn,
   onReceive,
+  onClose,
+  onReconnect,
   allowedTypes,
   validators,
   parser,
@@ -32,15 +67,28 @@ export const validateCreateConfig = ({
   maxIncomingMessageBytes,
   maxPendingRequests,
   responseTrustMode,
-  isTrustedResponse
+  isTrustedResponse,
+  unhandledRequestMode,
+  errorClasses,
+  exposeErrorStack,
+  defaultMeta,
+  maxMetaBytes,
+  handshake,
+  outbox,
+  maxOutboxMessages,
+  outboxTtl,
+  requestTimeoutFrom,
+  heartbeatInterval,
+  maxMissedHeartbeats,
+  rejectPendingOnPeerLost,
+  encoding,
+  maxFragmentBytes,
+  maxReassembledMessageBytes,
+  fragmentTimeout,
+  maxConcurrentReassemblies,
+  maxReassemblyBufferBytes
 }) => {
-  if (typeof sendFn !== 'function') {
-    throw new TypeError('`sendFn` must be a function.');
-  }
-
-  if (onReceive !== undefined && typeof onReceive !== 'function') {
-    throw new TypeError('`onReceive` must be a function when provided.');
-  }
+  validateTransport({ sendFn, onReceive, onClose, onReconnect });
 
   if (!Array.isArray(allowedTypes)) {
     throw new TypeError('`allowedTypes` must be an array of strings.');
@@ -77,4 +125,93 @@ export const validateCreateConfig = ({
   if (typeof isTrustedResponse !== 'function') {
     throw new TypeError('`isTrustedResponse` must be a function when provided.');
   }
+
+  if (!UNHANDLED_REQUEST_MODES.has(unhandledRequestMode)) {
+    throw new TypeError('`unhandledRequestMode` must be one of: "reply", "silent".');
+  }
+
+  if (!isObject(errorClasses)) {
+    throw new TypeError('`errorClasses` must be an object of Error subclasses.');
+  }
+
+  for (const [code, ErrorClass] of Object.entries(errorClasses)) {
+    if (typeof ErrorClass !== 'function' || !(ErrorClass.prototype instanceof Error)) {
+      throw new TypeError(`\`errorClasses.${code}\` must be an Error subclass.`);
+    }
+  }
+
+  if (typeof exposeErrorStack !== 'boolean') {
+    throw new TypeError('`exposeErrorStack` must be a boolean when provided.');
+  }
+
+  if (!Number.isFinite(maxMetaBytes) || maxMetaBytes <= 0) {
+    throw new TypeError('`maxMetaBytes` must be a finite number greater than 0.');
+  }
+
+  const metaViolation = getMetaViolation(defaultMeta, maxMetaBytes);
+  if (metaViolation) {
+    throw new TypeError(`\`defaultMeta\` ${metaViolation}.`);
+  }
+
+  if (typeof handshake !== 'boolean') {
+    throw new TypeError('`handshake` must be a boolean when provided.');
+  }
+
+  if (typeof outbox !== 'boolean') {
+    throw new TypeError('`outbox` must be a boolean when provided.');
+  }
+
+  if (!Number.isInteger(maxOutboxMessages) || maxOutboxMessages <= 0) {
+    throw new TypeError('`maxOutboxMessages` must be an integer greater than 0.');
+  }
+
+  if (!Number.isFinite(outboxTtl) || outboxTtl <= 0) {
+    throw new TypeError('`outboxTtl` must be a finite number greater than 0.');
+  }
+
+  if (!REQUEST_TIMEOUT_FROM_VALUES.has(requestTimeoutFrom)) {
+    throw new TypeError('`requestTimeoutFrom` must be one of: "enqueue", "flush".');
+  }
+
+  if (!Number.isFinite(heartbeatInterval) || heartbeatInterval < 0) {
+    throw new TypeError('`heartbeatInterval` must be a finite number greater than or equal to 0.');
+  }
+
+  if (!Number.isInteger(maxMissedHeartbeats) || maxMissedHeartbeats <= 0) {
+    throw new TypeError('`maxMissedHeartbeats` must be an integer greater than 0.');
+  }
+
+  if (typeof rejectPendingOnPeerLost !== 'boolean') {
+    throw new TypeError('`rejectPendingOnPeerLost` must be a boolean when provided.');
+  }
+
+  if (!ENCODINGS.has(encoding)) {
+    throw new TypeError('`encoding` must be one of: "string", "object", "binary".');
+  }
+
+  if (!Number.isFinite(maxFragmentBytes) || maxFragmentBytes < 0) {
+    throw new TypeError('`maxFragmentBytes` must be a finite number greater than or equal to 0.');
+  }
+
+  if (maxFragmentBytes > 0 && encoding === 'object') {
+    throw new TypeError('`maxFragmentBytes` requires `encoding: "string"` or `encoding: "binary"`.');
+  }
+
+  if (!Number.isFinite(maxReassembledMessageBytes) || maxReassembledMessageBytes <= 0) {
+    throw new TypeError('`maxReassembledMessageBytes` must be a finite number greater than 0.');
+  }
+
+  if (!Number.isFinite(fragmentTimeout) || fragmentTimeout <= 0) {
+    throw new TypeError('`fragmentTimeout` must be a finite number greater than 0.');
+  }
+
+  if (!Number.isInteger(maxConcurrentReassemblies) || maxConcurrentReassemblies <= 0) {
+    throw new TypeError('`maxConcurrentReassemblies` must be an integer greater than 0.');
+  }
+
+  if (!Number.isFinite(maxReassemblyBufferBytes) || maxReassemblyBufferBytes < maxReassembledMessageBytes) {
+    throw new TypeError(
+      '`maxReassemblyBufferBytes` must be a finite number no smaller than `maxReassembledMessageBytes`.'
+    );
+  }
 };
@@ -0,0 +1,109 @@
+import { CommandBusRemoteError } from '../errors.js';
+import { isNonEmptyString, isObject } from './shared.js';
+
+const MAX_CAUSE_DEPTH = 8;
+const RESERVED_ERROR_FIELDS = new Set([
+  'name',
+  'message',
+  'stack',
+  'cause',
+  'code',
+  '__proto__',
+  'constructor',
+  'prototype'
+]);
+
+const getOwnFields = (error) => {
+  const fields = {};
+  let hasFields = false;
+
+  for (const key of Object.keys(error)) {
+    if (!RESERVED_ERROR_FIELDS.has(key)) {
+      fields[key] = error[key];
+      hasFields = true;
+    }
+  }
+
+  return hasFields ? fields : undefined;
+};
+
+export const createErrorCodec = ({ errorClasses, exposeErrorStack }) => {
+  const codesByClass = new Map(Object.entries(errorClasses).map(([code, ErrorClass]) => [ErrorClass, code]));
+
+  const getErrorClass = (code) =>
+    isNonEmptyString(code) && Object.prototype.hasOwnProperty.call(errorClasses, code)
+      ? errorClasses[code]
+      : undefined;
+
+  const encodeError = (error, depth) => {
+    if (!(error instanceof Error)) {
+      return { message: 'Unknown error' };
+    }
+
+    const encoded = { message: error.message };
+    const code = codesByClass.get(error.constructor);
+
+    if (code !== undefined) {
+      encoded.name = error.name;
+      encoded.code = code;
+
+      const fields = getOwnFields(error);
+      if (fields) {
+        encoded.fields = fields;
+      }
+    }
+
+    if (error.cause instanceof Error && depth < MAX_CAUSE_DEPTH) {
+      encoded.cause = encodeError(error.cause, depth + 1);
+    }
+
+    if (exposeErrorStack && typeof error.stack === 'string') {
+      encoded.stack = error.stack;
+    }
+
+    return encoded;
+  };
+
+  const decodeError = (payload, depth) => {
+    const cause =
+      isObject(payload.cause) && depth < MAX_CAUSE_DEPTH ? decodeError(payload.cause, depth + 1) : undefined;
+    const message = typeof payload.message === 'string' ? payload.message : '';
+    const ErrorClass = getErrorClass(payload.code);
+    const options = cause === undefined ? undefined : { cause };
+
+    let error;
+    if (ErrorClass) {
+      error = new ErrorClass(message, options);
+      error.code = payload.code;
+      if (isObject(payload.fields)) {
+        for (const [key, value] of Object.entries(payload.fields)) {
+          if (!RESERVED_ERROR_FIELDS.has(key)) {
+            error[key] = value;
+          }
+        }
+      }
+    } else {
+      error = new Error(message, options);
+      if (isNonEmptyString(payload.name)) {
+        error.name = payload.name;
+      }
+    }
+
+    if (typeof payload.stack === 'string') {
+      error.stack = payload.stack;
+    }
+
+    return error;
+  };
+
+  return {
+    encode: (error) => encodeError(error, 0),
+    decode: (type, payload) => {
+      if (isObject(payload) && getErrorClass(payload.code)) {
+        return decodeError(payload, 0);
+      }
+
+      return new CommandBusRemoteError(type, payload);
+    }
+  };
+};
@@ -0,0 +1,236 @@
+import { CommandBusLimitError } from '../errors.js';
+import { serializeEnvelope } from './message.js';
+import {
+  FRAGMENT_TYPE,
+  getRandomHex,
+  getStringSizeInBytes,
+  isBinary,
+  isNonEmptyString,
+  isObject
+} from './shared.js';
+
+const getSize = (value) => (typeof value === 'string' ? getStringSizeInBytes(value) : value.byteLength);
+
+const getUtf8Width = (codePoint) => {
+  if (codePoint <= 0x7f) {
+    return 1;
+  }
+  if (codePoint <= 0x7ff) {
+    return 2;
+  }
+  return codePoint <= 0xffff ? 3 : 4;
+};
+
+// End index of the longest slice of `text` from `start` that fits in `budget` UTF-8 bytes. Surrogate pairs are never
+// split, so every fragment stays a well-formed string for transports that encode it.
+const findSliceEnd = (text, start, budget) => {
+  let end = start;
+  let size = 0;
+  while (end < text.length) {
+    const codePoint = text.codePointAt(end);
+    size += getUtf8Width(codePoint);
+    if (size > budget) {
+      break;
+    }
+    end += codePoint > 0xffff ? 2 : 1;
+  }
+  return end;
+};
+
+const toFragmentData = (data) => {
+  if (typeof data === 'string' || data instanceof Uint8Array) {
+    return data;
+  }
+  return data instanceof ArrayBuffer ? new Uint8Array(data) : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+};
+
+const isValidFragment = (payload) =>
+  isObject(payload) &&
+  isNonEmptyString(payload.id) &&
+  Number.isInteger(payload.index) &&
+  payload.index >= 0 &&
+  (typeof payload.data === 'string' || isBinary(payload.data)) &&
+  getSize(payload.data) > 0 &&
+  (payload.final === undefined || typeof payload.final === 'boolean');
+
+const concatBytes = (parts, size) => {
+  const result = new Uint8Array(size);
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.byteLength;
+  }
+  return result;
+};
+
+// Returns the messages to hand to the transport for one serialized envelope: the envelope itself, or its fragments.
+// Every fragment is serialized before any is sent, so a failure never leaves a partial message behind.
+export const createFragmenter = ({ maxFragmentBytes, serializer }) => {
+
+  const encodeFragment = (payload) =>
+    serializeEnvelope(serializer, FRAGMENT_TYPE, { type: FRAGMENT_TYPE, payload, kind: 'fragment' });
+
+  const toFragments = (serialized) => {
+    const binary = typeof serialized !== 'string';
+    const id = getRandomHex(8);
+    const empty = binary ? new Uint8Array(0) : '';
+    const capacity = maxFragmentBytes - getSize(encodeFragment({ id, index: 0, data: empty, final: true }));
+    const fragments = [];
+    let offset = 0;
+
+    while (offset < serialized.length) {
+      let budget = capacity;
+      for (;;) {
+        const end = binary
+          ? Math.min(serialized.length, offset + Math.max(0, budget))
+          : findSliceEnd(serialized, offset, budget);
+        if (end === offset) {
+          throw new CommandBusLimitError(
+            `\`maxFragmentBytes\` (${maxFragmentBytes}) is too small to carry a message fragment.`
+          );
+        }
+
+        const fragment = encodeFragment({
+          id,
+          index: fragments.length,
+          data: serialized.slice(offset, end),
+          final: end === serialized.length
+        });
+        const excess = getSize(fragment) - maxFragmentBytes;
+        if (excess <= 0) {
+          fragments.push(fragment);
+          offset = end;
+          break;
+        }
+
+        // Escaping and length headers can grow the data, so shrink in proportion to the overshoot and retry.
+        budget = Math.min(budget - 1, Math.max(1, Math.floor((budget * capacity) / (capacity + excess))));
+      }
+    }
+
+    return fragments;
+  };
+
+  return (serialized) =>
+    maxFragmentBytes === 0 || getSize(serialized) <= maxFragmentBytes ? [serialized] : toFragments(serialized);
+};
+
+export const createReassembler = ({ maxMessageBytes, maxMessages, maxBufferedBytes, timeout, safeLogError }) => {
+  const transfers = new Map();
+  let bufferedBytes = 0;
+
+  const touch = (id, transfer) => {
+    clearTimeout(transfer.timer);
+    transfer.timer = setTimeout(() => {
+      transfers.delete(id);
+      if (!transfer.discarded) {
+        bufferedBytes -= transfer.size;
+        safeLogError(`[SimplexBus] Dropped incomplete fragmented message after fragmentTimeout (${timeout}ms).`);
+      }
+    }, timeout);
+    // A stalled transfer alone must not keep a Node process alive.
+    transfer.timer.unref?.();
+  };
+
+  // The entry stays until its timeout, which later fragments no longer extend, so they are ignored instead of
+  // starting over.
+  const discard = (transfer, reason) => {
+    bufferedBytes -= transfer.size;
+    transfer.discarded = true;
+    transfer.parts.clear();
+    safeLogError(reason);
+  };
+
+  const bufferLimitReason = `[SimplexBus] Dropped fragmented message: maxReassemblyBufferBytes (${maxBufferedBytes}) reached.`;
+
+  const receive = ({ payload }) => {
+    if (!isValidFragment(payload)) {
+      safeLogError('[SimplexBus] Dropped invalid message fragment');
+      return undefined;
+    }
+
+    const { id, index, final = false } = payload;
+    const data = toFragmentData(payload.data);
+    const size = getSize(data);
+    let transfer = transfers.get(id);
+    if (transfer?.discarded) {
+      return undefined;
+    }
+
+    if (!transfer) {
+      if (transfers.size >= maxMessages) {
+        safeLogError(`[SimplexBus] Dropped fragmented message: maxConcurrentReassemblies (${maxMessages}) reached.`);
+        return undefined;
+      }
+
+      if (bufferedBytes + size > maxBufferedBytes) {
+        safeLogError(bufferLimitReason);
+        return undefined;
+      }
+
+      transfer = {
+        parts: new Map(),
+        binary: typeof data !== 'string',
+        size: 0,
+        lastIndex: -1,
+        count: undefined,
+        discarded: false,
+        timer: undefined
+      };
+      transfers.set(id, transfer);
+    }
+    touch(id, transfer);
+
+    if (transfer.parts.has(index)) {
+      return undefined;
+    }
+
+    if (
+      transfer.binary !== (typeof data !== 'string') ||
+      (transfer.count !== undefined && index >= transfer.count) ||
+      (final && index < transfer.lastIndex)
+    ) {
+      discard(transfer, '[SimplexBus] Dropped fragmented message with inconsistent fragments.');
+      return undefined;
+    }
+
+    if (transfer.size + size > maxMessageBytes) {
+      discard(transfer, `[SimplexBus] Reassembled message exceeds maxReassembledMessageBytes (${maxMessageBytes}).`);
+      return undefined;
+    }
+
+    if (bufferedBytes + size > maxBufferedBytes) {
+      discard(transfer, bufferLimitReason);
+      return undefined;
+    }
+
+    transfer.size += size;
+    bufferedBytes += size;
+    transfer.parts.set(index, data);
+    transfer.lastIndex = Math.max(transfer.lastIndex, index);
+    if (final) {
+      transfer.count = index + 1;
+    }
+
+    if (transfer.parts.size !== transfer.count) {
+      return undefined;
+    }
+
+    clearTimeout(transfer.timer);
+    transfers.delete(id);
+    bufferedBytes -= transfer.size;
+    const parts = Array.from({ length: transfer.count }, (_, partIndex) => transfer.parts.get(partIndex));
+    return transfer.binary ? concatBytes(parts, transfer.size) : parts.join('');
+  };
+
+  return {
+    receive,
+    clear: () => {
+      for (const transfer of transfers.values()) {
+        clearTimeout(transfer.timer);
+      }
+      transfers.clear();
+      bufferedBytes = 0;
+    }
+  };
+};
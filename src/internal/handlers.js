@@ -3,8 +3,9 @@ import { isNonEmptyString } from './shared.js';
 
 export const createHandlerRegistry = ({ assertNotDisposed, isAllowedType }) => {
   const handlers = new Map();
+  const responders = new Map();
 
-  const on = (type, handler) => {
+  const assertRegistrable = (type, handler) => {
     assertNotDisposed();
 
     if (!isNonEmptyString(type)) {
@@ -18,6 +19,10 @@ export const createHandlerRegistry = ({ assertNotDisposed, isAllowedType }) => {
     if (!isAllowedType(type)) {
       throw new CommandBusValidationError(`Handler registration failed: type "${type}" not allowed.`);
     }
+  };
+
+  const on = (type, handler) => {
+    assertRegistrable(type, handler);
 
     if (!handlers.has(type)) {
       handlers.set(type, new Set());
@@ -27,6 +32,19 @@ export const createHandlerRegistry = ({ assertNotDisposed, isAllowedType }) => {
     return () => off(type, handler);
   };
 
+  const handle = (type, responder) => {
+    assertRegistrable(type, responder);
+
+    if (responders.has(type)) {
+      throw new CommandBusValidationError(
+        `Handler registration failed: type "${type}" already has a responder. Call the returned unsubscribe or off() first.`
+      );
+    }
+
+    responders.set(type, responder);
+    return () => off(type, responder);
+  };
+
   const once = (type, handler) => {
     if (typeof handler !== 'function') {
       throw new TypeError('`handler` must be a function.');
@@ -47,16 +65,22 @@ export const createHandlerRegistry = ({ assertNotDisposed, isAllowedType }) => {
       throw new TypeError('`type` must be a non-empty string.');
     }
 
-    const listeners = handlers.get(type);
-    if (!listeners) {
-      return false;
+    if (handler === undefined) {
+      const hadListeners = handlers.delete(type);
+      const hadResponder = responders.delete(type);
+      return hadListeners || hadResponder;
     }
 
-    if (handler === undefined) {
-      handlers.delete(type);
+    if (responders.get(type) === handler) {
+      responders.delete(type);
       return true;
     }
 
+    const listeners = handlers.get(type);
+    if (!listeners) {
+      return false;
+    }
+
     const didDelete = listeners.delete(handler);
     if (listeners.size === 0) {
       handlers.delete(type);
@@ -67,9 +91,14 @@ export const createHandlerRegistry = ({ assertNotDisposed, isAllowedType }) => {
 
   return {
     handlers,
+    responders,
     on,
     once,
+    handle,
     off,
-    clear: () => handlers.clear()
+    clear: () => {
+      handlers.clear();
+      responders.clear();
+    }
   };
 };
@@ -0,0 +1,124 @@
+import { CommandBusHandshakeError } from '../errors.js';
+import { HANDSHAKE_TYPE, PROTOCOL_FEATURES, PROTOCOL_VERSION, isObject, isPromiseLike } from './shared.js';
+
+const isStringList = (value) => Array.isArray(value) && value.every((item) => typeof item === 'string');
+
+const toPeerInfo = (payload) => {
+  if (
+    !isObject(payload) ||
+    !Number.isInteger(payload.protocol) ||
+    !isStringList(payload.features) ||
+    !isStringList(payload.types)
+  ) {
+    return undefined;
+  }
+
+  return Object.freeze({
+    protocol: payload.protocol,
+    features: Object.freeze([...payload.features]),
+    types: Object.freeze([...payload.types])
+  });
+};
+
+export const createHandshake = ({ enabled, sendEnvelope, getHandledTypes, safeLogError }) => {
+  let peer;
+  let settled = false;
+  let resolveReady;
+  let rejectReady;
+
+  const ready = new Promise((resolve, reject) => {
+    resolveReady = resolve;
+    rejectReady = reject;
+  });
+  // Callers may never await `ready`; a rejection on dispose must not surface as unhandled.
+  ready.catch(() => {});
+
+  const settle = (error, value) => {
+    if (settled) {
+      return;
+    }
+
+    settled = true;
+    if (error) {
+      rejectReady(error);
+    } else {
+      resolveReady(value);
+    }
+  };
+
+  const logSendFailure = (error) => {
+    safeLogError('[SimplexBus] Failed to send handshake', error);
+  };
+
+  // Hellos answering a peer hello carry `ack: true` and are never answered, so a late starter still learns about us.
+  const sendHello = (ack) => {
+    const payload = {
+      protocol: PROTOCOL_VERSION,
+      features: [...PROTOCOL_FEATURES],
+      types: getHandledTypes(),
+      ack
+    };
+
+    try {
+      const result = sendEnvelope(
+        { type: HANDSHAKE_TYPE, payload, kind: 'hello' },
+        { skipTypeGuard: true, skipPayloadValidation: true }
+      );
+      if (isPromiseLike(result)) {
+        result.catch(logSendFailure);
+      }
+    } catch (error) {
+      logSendFailure(error);
+    }
+  };
+
+  const receiveHello = (message) => {
+    if (!enabled) {
+      return;
+    }
+
+    const info = toPeerInfo(message.payload);
+    if (!info) {
+      safeLogError('[SimplexBus] Invalid handshake message', message.payload);
+      return;
+    }
+
+    if (message.payload.ack !== true) {
+      sendHello(true);
+    }
+
+    // The first accepted hello decides the peer until the transport is replaced; a later one may be forged.
+    if (peer) {
+      return;
+    }
+
+    if (info.protocol !== PROTOCOL_VERSION) {
+      const error = new CommandBusHandshakeError(PROTOCOL_VERSION, info.protocol);
+      safeLogError('[SimplexBus] Handshake failed', error);
+      settle(error);
+      return;
+    }
+
+    peer = info;
+    settle(undefined, info);
+  };
+
+  if (!enabled) {
+    settle(undefined, undefined);
+  }
+
+  return {
+    ready,
+    getPeer: () => peer,
+    start: () => {
+      if (enabled) {
+        sendHello(false);
+      }
+    },
+    receiveHello,
+    reset: () => {
+      peer = undefined;
+    },
+    dispose: (error) => settle(error)
+  };
+};
@@ -0,0 +1,88 @@
+import { HEARTBEAT_TYPE, isObject, isPromiseLike } from './shared.js';
+
+export const createHeartbeat = ({ interval, maxMissed, sendEnvelope, onPeerLost, emit, safeLogError }) => {
+  let status = 'unknown';
+  let rtt;
+  let missed = 0;
+  let seq = 0;
+  let outstanding;
+  let timer;
+
+  const sendControl = (kind, payload) => {
+    const logSendFailure = (error) => {
+      safeLogError(`[SimplexBus] Failed to send heartbeat ${kind}`, error);
+    };
+
+    try {
+      const result = sendEnvelope(
+        { type: HEARTBEAT_TYPE, payload, kind },
+        { skipTypeGuard: true, skipPayloadValidation: true }
+      );
+      if (isPromiseLike(result)) {
+        result.catch(logSendFailure);
+      }
+    } catch (error) {
+      logSendFailure(error);
+    }
+  };
+
+  const beat = () => {
+    if (outstanding) {
+      missed += 1;
+      if (missed >= maxMissed && status !== 'lost') {
+        status = 'lost';
+        onPeerLost(missed);
+        emit('peer-lost', { missed });
+      }
+    }
+
+    seq += 1;
+    outstanding = { seq, sentAt: Date.now() };
+    sendControl('ping', { seq });
+    schedule();
+  };
+
+  const schedule = () => {
+    timer = setTimeout(beat, interval);
+    // Heartbeats alone must not keep a Node process alive.
+    timer.unref?.();
+  };
+
+  const receivePong = (payload) => {
+    if (!outstanding || !isObject(payload) || payload.seq !== outstanding.seq) {
+      return;
+    }
+
+    rtt = Date.now() - outstanding.sentAt;
+    outstanding = undefined;
+    missed = 0;
+
+    const previousStatus = status;
+    status = 'alive';
+    if (previousStatus === 'lost') {
+      emit('peer-restored', { rtt });
+    }
+  };
+
+  return {
+    start: () => {
+      if (interval > 0) {
+        beat();
+      }
+    },
+    stop: () => {
+      clearTimeout(timer);
+    },
+    // Pings are always answered so a peer can monitor this bus even when local heartbeats are off.
+    receive: (message) => {
+      if (message.kind === 'ping') {
+        sendControl('pong', message.payload);
+        return;
+      }
+
+      receivePong(message.payload);
+    },
+    getStatus: () => status,
+    getRtt: () => rtt
+  };
+};
@@ -0,0 +1,48 @@
+import { CommandBusAbortedError } from '../errors.js';
+
+export const createInboundRequestsStore = ({ maxEntries }) => {
+  const inboundRequests = new Map();
+
+  const track = (message) => {
+    const controller = new AbortController();
+    if (!message.id) {
+      return controller;
+    }
+
+    if (inboundRequests.size >= maxEntries && !inboundRequests.has(message.id)) {
+      const [oldestId] = inboundRequests.keys();
+      inboundRequests.delete(oldestId);
+    }
+
+    inboundRequests.set(message.id, { type: message.type, nonce: message.nonce, controller });
+    return controller;
+  };
+
+  const release = (id) => inboundRequests.delete(id);
+
+  const cancel = (message) => {
+    const entry = inboundRequests.get(message.id);
+    if (!entry || entry.type !== message.type || entry.nonce !== message.nonce) {
+      return false;
+    }
+
+    inboundRequests.delete(message.id);
+    entry.controller.abort(new CommandBusAbortedError(message.type));
+    return true;
+  };
+
+  const abortAll = (reason) => {
+    for (const entry of inboundRequests.values()) {
+      entry.controller.abort(reason);
+    }
+    inboundRequests.clear();
+  };
+
+  return {
+    size: () => inboundRequests.size,
+    track,
+    release,
+    cancel,
+    abortAll
+  };
+};
@@ -3,7 +3,7 @@ import {
   CommandBusSerializationError,
   CommandBusValidationError
 } from '../errors.js';
-import { isNonEmptyString, isObject } from './shared.js';
+import { ENVELOPE_KINDS, getStringSizeInBytes, isBinary, isNonEmptyString, isObject } from './shared.js';
 
 export const createPayloadValidator = (validators) => (type, payload) => {
   const validator = validators[type];
@@ -28,8 +28,64 @@ export const createPayloadValidator = (validators) => (type, payload) => {
   }
 };
 
-export const normalizeIncomingMessage = (raw, parser) => {
-  const parsed = typeof raw === 'string' ? parser(raw) : raw;
+const SCHEMA_ERROR_FIELDS = ['instancePath', 'schemaPath', 'keyword', 'params', 'message'];
+
+const sanitizeSchemaError = (error) => {
+  if (!isObject(error)) {
+    return {};
+  }
+
+  const sanitized = {};
+  for (const field of SCHEMA_ERROR_FIELDS) {
+    if (error[field] !== undefined) {
+      sanitized[field] = error[field];
+    }
+  }
+  return sanitized;
+};
+
+export const toValidationFaultDetails = (type, error) => {
+  const details = error instanceof CommandBusValidationError && isObject(error.details) ? error.details : {};
+
+  return {
+    type,
+    channel: details.channel ?? 'request',
+    errors: Array.isArray(details.errors) ? details.errors.map(sanitizeSchemaError) : []
+  };
+};
+
+const UNSAFE_META_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+const isMetaValue = (value) =>
+  value === null ||
+  typeof value === 'string' ||
+  typeof value === 'boolean' ||
+  (typeof value === 'number' && Number.isFinite(value));
+
+export const getMetaViolation = (meta, maxMetaBytes) => {
+  if (!isObject(meta)) {
+    return 'must be an object';
+  }
+
+  for (const [key, value] of Object.entries(meta)) {
+    if (UNSAFE_META_KEYS.has(key)) {
+      return `must not contain key "${key}"`;
+    }
+
+    if (!isMetaValue(value)) {
+      return `value for "${key}" must be a string, finite number, boolean or null`;
+    }
+  }
+
+  if (getStringSizeInBytes(JSON.stringify(meta)) > maxMetaBytes) {
+    return `exceeds maxMetaBytes (${maxMetaBytes})`;
+  }
+
+  return undefined;
+};
+
+export const normalizeIncomingMessage = (raw, parser, { maxMetaBytes }) => {
+  const parsed = typeof raw === 'string' || isBinary(raw) ? parser(raw) : raw;
 
   if (!isObject(parsed)) {
     throw new CommandBusInvalidMessageError('Incoming message must be an object.');
@@ -47,6 +103,17 @@ export const normalizeIncomingMessage = (raw, parser) => {
     throw new CommandBusInvalidMessageError('Incoming message `nonce` must be a non-empty string when provided.');
   }
 
+  if (parsed.kind !== undefined && !ENVELOPE_KINDS.has(parsed.kind)) {
+    throw new CommandBusInvalidMessageError('Incoming message `kind` is not a supported envelope kind.');
+  }
+
+  if (parsed.meta !== undefined) {
+    const violation = getMetaViolation(parsed.meta, maxMetaBytes);
+    if (violation) {
+      throw new CommandBusInvalidMessageError(`Incoming message \`meta\` ${violation}.`);
+    }
+  }
+
   return parsed;
 };
 
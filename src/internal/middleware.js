@@ -0,0 +1,142 @@
+import { isObject, isPromiseLike } from './shared.js';
+
+const noop = () => {};
+
+// The bus's own handshake, heartbeat and cancellation traffic, kept apart so middleware does not mistake it for
+// application messages.
+const CONTROL_KINDS = new Set(['hello', 'ping', 'pong', 'cancel']);
+
+export const getEnvelopeCategory = (message, isResponseType) => {
+  if (CONTROL_KINDS.has(message.kind)) {
+    return 'control';
+  }
+
+  if (message.isError !== undefined || isResponseType(message.type)) {
+    return 'response';
+  }
+
+  return message.id ? 'request' : 'command';
+};
+
+const toNextEnvelope = (result, current) => {
+  if (result === undefined) {
+    return current;
+  }
+
+  if (!isObject(result)) {
+    throw new TypeError('Middleware must return an envelope object or undefined.');
+  }
+
+  return result;
+};
+
+const applyMiddlewares = (middlewares, envelope, info, startIndex = 0) => {
+  let current = envelope;
+
+  for (let index = startIndex; index < middlewares.length; index += 1) {
+    const result = middlewares[index](current, info);
+    if (isPromiseLike(result)) {
+      const previous = current;
+      return Promise.resolve(result).then((resolved) =>
+        applyMiddlewares(middlewares, toNextEnvelope(resolved, previous), info, index + 1)
+      );
+    }
+
+    current = toNextEnvelope(result, current);
+  }
+
+  return current;
+};
+
+// Synchronous while middlewares are; once one goes async, later envelopes queue behind it in call order.
+const createSequentialRunner = (middlewares) => {
+  let inFlight = 0;
+  let tail = Promise.resolve();
+
+  const track = (promise) => {
+    inFlight += 1;
+    const settled = promise.finally(() => {
+      inFlight -= 1;
+    });
+    tail = settled.then(noop, noop);
+    return settled;
+  };
+
+  return (envelope, info, deliver) => {
+    if (inFlight === 0 && middlewares.length === 0) {
+      return deliver(envelope);
+    }
+
+    if (inFlight > 0) {
+      return track(tail.then(() => applyMiddlewares([...middlewares], envelope, info)).then(deliver));
+    }
+
+    const result = applyMiddlewares([...middlewares], envelope, info);
+    if (isPromiseLike(result)) {
+      return track(result.then(deliver));
+    }
+
+    return deliver(result);
+  };
+};
+
+export const createMiddlewareRegistry = ({ assertNotDisposed }) => {
+  const outbound = [];
+  const inbound = [];
+
+  const remove = (list, middleware) => {
+    const index = list.indexOf(middleware);
+    if (index === -1) {
+      return false;
+    }
+
+    list.splice(index, 1);
+    return true;
+  };
+
+  const use = (middleware) => {
+    assertNotDisposed();
+
+    if (!isObject(middleware)) {
+      throw new TypeError('`middleware` must be an object with `outbound` and/or `inbound` functions.');
+    }
+
+    const { outbound: outboundMiddleware, inbound: inboundMiddleware } = middleware;
+
+    if (outboundMiddleware === undefined && inboundMiddleware === undefined) {
+      throw new TypeError('`middleware` must provide an `outbound` or `inbound` function.');
+    }
+
+    if (outboundMiddleware !== undefined && typeof outboundMiddleware !== 'function') {
+      throw new TypeError('`middleware.outbound` must be a function when provided.');
+    }
+
+    if (inboundMiddleware !== undefined && typeof inboundMiddleware !== 'function') {
+      throw new TypeError('`middleware.inbound` must be a function when provided.');
+    }
+
+    if (outboundMiddleware) {
+      outbound.push(outboundMiddleware);
+    }
+
+    if (inboundMiddleware) {
+      inbound.push(inboundMiddleware);
+    }
+
+    return () => {
+      const removedOutbound = outboundMiddleware ? remove(outbound, outboundMiddleware) : false;
+      const removedInbound = inboundMiddleware ? remove(inbound, inboundMiddleware) : false;
+      return removedOutbound || removedInbound;
+    };
+  };
+
+  return {
+    use,
+    runOutbound: createSequentialRunner(outbound),
+    runInbound: createSequentialRunner(inbound),
+    clear: () => {
+      outbound.length = 0;
+      inbound.length = 0;
+    }
+  };
+};
@@ -0,0 +1,153 @@
+import { CommandBusSerializationError } from '../errors.js';
+import { getStringSizeInBytes, isBinary } from './shared.js';
+
+const UNCLONEABLE_CLASSES = [WeakMap, WeakSet, Promise, globalThis.WeakRef].filter(Boolean);
+
+const forEachChild = (value, callback) => {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => callback(item, `[${index}]`));
+    return;
+  }
+
+  if (value instanceof Map) {
+    for (const [key, item] of value) {
+      callback(key, '[map key]');
+      callback(item, '[map value]');
+    }
+    return;
+  }
+
+  if (value instanceof Set) {
+    for (const item of value) {
+      callback(item, '[set value]');
+    }
+    return;
+  }
+
+  if (isBinary(value) || value instanceof Date || value instanceof RegExp) {
+    return;
+  }
+
+  for (const key of Object.keys(value)) {
+    callback(value[key], `.${key}`);
+  }
+};
+
+// Iterative so deeply nested payloads cannot overflow the stack; shared and cyclic references are visited once.
+const walk = (root, visit) => {
+  const seen = new Set();
+  const stack = [[root, '']];
+
+  while (stack.length > 0) {
+    const [value, path] = stack.pop();
+    const isReference = value !== null && (typeof value === 'object' || typeof value === 'function');
+
+    if (isReference && seen.has(value)) {
+      continue;
+    }
+
+    if (visit(value, path) === false) {
+      return;
+    }
+
+    if (value !== null && typeof value === 'object') {
+      seen.add(value);
+      forEachChild(value, (child, segment) => stack.push([child, `${path}${segment}`]));
+    }
+  }
+};
+
+const getOwnSize = (value) => {
+  if (typeof value === 'string') {
+    return getStringSizeInBytes(value) + 2;
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return 8;
+  }
+
+  if (isBinary(value)) {
+    return value.byteLength;
+  }
+
+  if (Array.isArray(value) || value instanceof Map || value instanceof Set) {
+    return 2 + (value.length ?? value.size);
+  }
+
+  if (value instanceof Date || value instanceof RegExp) {
+    return 24;
+  }
+
+  return Object.keys(value).reduce((size, key) => size + getStringSizeInBytes(key) + 3, 2);
+};
+
+/**
+ * Approximates the JSON-like size of a structured-clone message in bytes, stopping once it exceeds `limit`.
+ */
+export const estimateObjectSize = (value, limit = Infinity) => {
+  let size = 0;
+  walk(value, (item) => {
+    size += getOwnSize(item);
+    return size <= limit;
+  });
+  return size;
+};
+
+const describeUncloneable = (value) => {
+  if (typeof value === 'function') {
+    return 'a function';
+  }
+
+  if (typeof value === 'symbol') {
+    return 'a symbol';
+  }
+
+  if (value !== null && typeof value === 'object') {
+    const match = UNCLONEABLE_CLASSES.find((Class) => value instanceof Class);
+    return match ? `a ${match.name}` : undefined;
+  }
+
+  return undefined;
+};
+
+// Node reports a port missing from the transfer list as a TypeError instead of a DataCloneError.
+const isCloneError = (error) =>
+  error?.name === 'DataCloneError' || error?.code === 'ERR_MISSING_TRANSFERABLE_IN_TRANSFER_LIST';
+
+/**
+ * Calls `send`, reporting a structured-clone failure the pre-check could not foresee as a serialization error.
+ */
+export const sendCloneable = (type, send) => {
+  try {
+    send();
+  } catch (error) {
+    if (!isCloneError(error)) {
+      throw error;
+    }
+
+    throw new CommandBusSerializationError(
+      `Failed to serialize message type "${type}": the transport could not structured-clone it.`,
+      { cause: error }
+    );
+  }
+};
+
+export const assertCloneableEnvelope = (type, envelope) => {
+  let problem;
+  walk(envelope, (value, path) => {
+    const description = describeUncloneable(value);
+    if (description) {
+      problem = `${description} at \`envelope${path}\``;
+      return false;
+    }
+    return true;
+  });
+
+  if (problem) {
+    throw new CommandBusSerializationError(
+      `Failed to serialize message type "${type}": ${problem} cannot be structured-cloned.`
+    );
+  }
+
+  return envelope;
+};
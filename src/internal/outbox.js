@@ -0,0 +1,101 @@
+import { CommandBusExpiredError, CommandBusLimitError } from '../errors.js';
+
+export const createOutbox = ({ enabled, maxMessages, ttl, safeLogError }) => {
+  let open = !enabled;
+  let failure;
+  const entries = [];
+
+  const remove = (entry) => {
+    clearTimeout(entry.timer);
+    const index = entries.indexOf(entry);
+    if (index !== -1) {
+      entries.splice(index, 1);
+    }
+  };
+
+  const pruneStale = () => {
+    for (const entry of [...entries]) {
+      if (entry.isStale()) {
+        remove(entry);
+        entry.resolve();
+      }
+    }
+  };
+
+  const enqueue = ({ type, dispatch, isStale = () => false }) => {
+    if (failure) {
+      return Promise.reject(failure);
+    }
+
+    pruneStale();
+
+    if (entries.length >= maxMessages) {
+      throw new CommandBusLimitError(
+        `Outbox limit reached (${maxMessages}). Mark the bus ready or wait for the handshake before sending more.`
+      );
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { type, dispatch, isStale, resolve, reject, timer: undefined };
+
+      entry.timer = setTimeout(() => {
+        remove(entry);
+        if (entry.isStale()) {
+          entry.resolve();
+          return;
+        }
+
+        safeLogError(`[SimplexBus] Dropped expired outbox message for type "${type}"`);
+        entry.reject(new CommandBusExpiredError(type, ttl));
+      }, ttl);
+      // A message held until ready must not keep a Node process alive for the whole TTL.
+      entry.timer.unref?.();
+
+      entries.push(entry);
+    });
+  };
+
+  const clear = (error) => {
+    for (const entry of entries.splice(0)) {
+      clearTimeout(entry.timer);
+      entry.reject(error);
+    }
+  };
+
+  const flush = () => {
+    const flushed = entries.splice(0);
+
+    for (const entry of flushed) {
+      clearTimeout(entry.timer);
+      if (entry.isStale()) {
+        entry.resolve();
+        continue;
+      }
+
+      try {
+        entry.resolve(entry.dispatch());
+      } catch (error) {
+        entry.reject(error);
+      }
+    }
+  };
+
+  return {
+    isHeld: () => !open,
+    enqueue,
+    open: () => {
+      if (open) {
+        return;
+      }
+
+      open = true;
+      flush();
+    },
+    clear,
+    // The outbox stays held, but no message waits for a handshake that can no longer complete.
+    fail: (error) => {
+      failure = error;
+      clear(error);
+    }
+  };
+};
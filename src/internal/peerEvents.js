@@ -0,0 +1,40 @@
+import { PEER_EVENTS, isNonEmptyString } from './shared.js';
+
+const EVENT_LIST = [...PEER_EVENTS].map((event) => `"${event}"`).join(', ');
+
+export const createPeerEvents = ({ safeLogError }) => {
+  const listeners = new Map([...PEER_EVENTS].map((event) => [event, new Set()]));
+
+  const on = (event, listener) => {
+    if (!isNonEmptyString(event) || !listeners.has(event)) {
+      throw new TypeError(`\`event\` must be one of: ${EVENT_LIST}.`);
+    }
+
+    if (typeof listener !== 'function') {
+      throw new TypeError('`listener` must be a function.');
+    }
+
+    listeners.get(event).add(listener);
+    return () => listeners.get(event).delete(listener);
+  };
+
+  const emit = (event, details) => {
+    for (const listener of [...listeners.get(event)]) {
+      try {
+        listener(details);
+      } catch (error) {
+        safeLogError(`[SimplexBus] Peer event listener failed for "${event}"`, error);
+      }
+    }
+  };
+
+  return {
+    on,
+    emit,
+    clear: () => {
+      for (const set of listeners.values()) {
+        set.clear();
+      }
+    }
+  };
+};
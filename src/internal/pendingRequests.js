@@ -16,6 +16,17 @@ export const createPendingRequestsStore = () => {
     pendingRequests.delete(id);
   };
 
+  const refresh = (id) => {
+    const pending = pendingRequests.get(id);
+    if (!pending) {
+      return false;
+    }
+
+    clearTimeout(pending.timer);
+    pending.timer = setTimeout(pending.onTimeout, pending.timeout);
+    return true;
+  };
+
   const rejectAll = (error) => {
     for (const [id, pending] of pendingRequests.entries()) {
       clear(id);
@@ -25,9 +36,11 @@ export const createPendingRequestsStore = () => {
 
   return {
     get: (id) => pendingRequests.get(id),
+    values: () => [...pendingRequests.values()],
     set: (id, pending) => pendingRequests.set(id, pending),
     size: () => pendingRequests.size,
     clear,
+    refresh,
     rejectAll
   };
 };
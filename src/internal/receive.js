@@ -1,16 +1,44 @@
-import { CommandBusRemoteError } from '../errors.js';
-import { normalizeIncomingMessage } from './message.js';
-import { getStringSizeInBytes } from './shared.js';
+import {
+  CommandBusRemoteError,
+  CommandBusUnhandledError,
+  CommandBusValidationError
+} from '../errors.js';
+import { normalizeIncomingMessage, toValidationFaultDetails } from './message.js';
+import { getEnvelopeCategory } from './middleware.js';
+import { estimateObjectSize } from './objectEncoding.js';
+import {
+  FAULT_CODES,
+  UNVALIDATED_ENVELOPE_KINDS,
+  getStringSizeInBytes,
+  isBinary,
+  isObject,
+  isPromiseLike
+} from './shared.js';
 
-const isPromiseLike = (value) => value !== null && typeof value === 'object' && typeof value.then === 'function';
+const RESPONSE_ONLY_KINDS = new Set(['chunk', 'end', 'progress', 'fault']);
 
-const toRemoteErrorPayload = (error) => ({
-  message: error instanceof Error ? error.message : 'Unknown error'
-});
+const UNHANDLED_FAULT_CODES = new Set([FAULT_CODES.NO_HANDLER, FAULT_CODES.TYPE_NOT_ALLOWED]);
+
+const toFaultError = (type, payload) => {
+  const code = isObject(payload) ? payload.code : undefined;
+  if (UNHANDLED_FAULT_CODES.has(code)) {
+    return new CommandBusUnhandledError(type, code);
+  }
+
+  if (code === FAULT_CODES.VALIDATION_FAILED) {
+    return new CommandBusValidationError(`Remote validation failed for type "${type}".`, {
+      details: isObject(payload.details) ? payload.details : undefined,
+      remote: true
+    });
+  }
+
+  return new CommandBusRemoteError(type, payload);
+};
 
 export const createReceive = ({
   isDisposed,
   maxIncomingMessageBytes,
+  maxMetaBytes,
   parser,
   safeLogError,
   pendingRequests,
@@ -19,23 +47,39 @@ export const createReceive = ({
   validatePayload,
   isAllowedType,
   handlers,
-  sendResponse
+  responders,
+  inboundRequests,
+  isResponseType,
+  replyToUnhandled,
+  errorCodec,
+  runInbound,
+  sendResponse,
+  receiveHello,
+  receiveHeartbeat,
+  reassemble
 }) => {
   const getPendingFromMessage = (message) => (message.id ? pendingRequests.get(message.id) : undefined);
 
   const tryNormalizeMessage = (raw) => {
     try {
-      return normalizeIncomingMessage(raw, parser);
+      return normalizeIncomingMessage(raw, parser, { maxMetaBytes });
     } catch (error) {
       safeLogError('[SimplexBus] Invalid incoming message', error);
       return undefined;
     }
   };
 
-  const isOversizedIncomingString = (raw) =>
-    typeof raw === 'string' && getStringSizeInBytes(raw) > maxIncomingMessageBytes;
+  // Structured-clone messages have no byte length, so their size is estimated by walking them.
+  const getIncomingSize = (raw) => {
+    if (typeof raw === 'string') {
+      return getStringSizeInBytes(raw);
+    }
+    return isBinary(raw) ? raw.byteLength : estimateObjectSize(raw, maxIncomingMessageBytes);
+  };
 
-  const isTrustedPendingResponse = ({ message, pending, raw }) => {
+  const isOversizedIncoming = (raw) => getIncomingSize(raw) > maxIncomingMessageBytes;
+
+  const isTrustedPendingResponse = ({ message, pending, raw, sender }) => {
     let trustedResponse;
     try {
       trustedResponse = isTrustedResponse({
@@ -46,7 +90,9 @@ export const createReceive = ({
         responseNonce: message.nonce,
         payload: message.payload,
         isError: message.isError === true,
-        raw
+        meta: message.meta,
+        raw,
+        sender
       });
     } catch (error) {
       safeLogError('[SimplexBus] Trusted response guard failed', error);
@@ -62,7 +108,7 @@ export const createReceive = ({
       return false;
     }
 
-    if (isStrictResponseTrust && message.nonce !== pending.nonce) {
+    if (isStrictResponseTrust() && message.nonce !== pending.nonce) {
       safeLogError('[SimplexBus] Dropped response with invalid nonce', {
         requestType: pending.type,
         requestId: message.id,
@@ -74,105 +120,255 @@ export const createReceive = ({
     return true;
   };
 
-  const settlePendingResponse = ({ message, pending }) => {
+  const notifyProgress = ({ message, pending }) => {
+    if (pending.keepAlive) {
+      pendingRequests.refresh(message.id);
+    }
+
+    if (!pending.onProgress) {
+      return;
+    }
+
     try {
-      validatePayload(message.type, message.payload);
+      pending.onProgress(message.payload);
     } catch (error) {
-      pendingRequests.clear(message.id);
-      pending.reject(error);
+      safeLogError(`[SimplexBus] Progress callback failed for type "${pending.type}"`, error);
+    }
+  };
+
+  const settlePendingResponse = ({ message, pending }) => {
+    if (message.kind === 'progress') {
+      notifyProgress({ message, pending });
       return true;
     }
 
-    pendingRequests.clear(message.id);
+    if (!UNVALIDATED_ENVELOPE_KINDS.has(message.kind)) {
+      try {
+        validatePayload(message.type, message.payload);
+      } catch (error) {
+        pendingRequests.clear(message.id);
+        pending.reject(error);
+        return true;
+      }
+    }
+
     if (message.isError) {
-      pending.reject(new CommandBusRemoteError(pending.type, message.payload));
-    } else {
+      pendingRequests.clear(message.id);
+      pending.reject(
+        message.kind === 'fault'
+          ? toFaultError(pending.type, message.payload)
+          : errorCodec.decode(pending.type, message.payload)
+      );
+      return true;
+    }
+
+    if (!pending.stream) {
+      pendingRequests.clear(message.id);
       pending.resolve(message.payload);
+      return true;
     }
 
+    if (message.kind === 'chunk') {
+      pending.stream.push(message.payload);
+      return true;
+    }
+
+    pendingRequests.clear(message.id);
+    if (message.kind !== 'end') {
+      pending.stream.push(message.payload);
+    }
+    pending.resolve();
     return true;
   };
 
+  const isRequestMessage = (message) =>
+    Boolean(message.id) && message.isError === undefined && !isResponseType(message.type);
+
+  const replyWithFault = (message, code, reason, details) => {
+    if (!replyToUnhandled || !isRequestMessage(message)) {
+      return;
+    }
+
+    const payload = { code, message: reason };
+    if (details !== undefined) {
+      payload.details = details;
+    }
+
+    try {
+      sendResponse({ message, payload, isError: true, kind: 'fault' });
+    } catch (error) {
+      safeLogError('[SimplexBus] Failed to send fault response', error);
+    }
+  };
+
   const validateIncomingCommandPayload = (message) => {
     try {
       validatePayload(message.type, message.payload);
       return true;
     } catch (error) {
       safeLogError('[SimplexBus] Invalid incoming payload', error);
+      replyWithFault(
+        message,
+        FAULT_CODES.VALIDATION_FAILED,
+        `Invalid payload for type "${message.type}".`,
+        toValidationFaultDetails(message.type, error)
+      );
       return false;
     }
   };
 
-  const createListenerContext = (message) => ({
-    respond: (responsePayload) => sendResponse({ message, payload: responsePayload, isError: false }),
-    respondError: (responsePayload) => sendResponse({ message, payload: responsePayload, isError: true })
-  });
+  const createListenerContext = (message, sender) => {
+    const controller = inboundRequests.track(message);
+    let streamOpen = Boolean(message.id) && message.kind === 'stream';
+    let settled = false;
+
+    const reply = ({ payload, isError, kind, transfer }) => {
+      if (controller.signal.aborted) {
+        return false;
+      }
+
+      return sendResponse({ message, payload, isError, kind, transfer });
+    };
+
+    const settle = ({ payload, isError, kind, transfer }) => {
+      const sent = reply({ payload, isError, kind, transfer });
+      if (sent) {
+        settled = true;
+        inboundRequests.release(message.id);
+      }
+      return sent;
+    };
+
+    const context = {
+      signal: controller.signal,
+      meta: message.meta ?? {},
+      sender,
+      respond: (responsePayload, { transfer } = {}) =>
+        settle({ payload: responsePayload, isError: false, transfer }),
+      respondError: (responsePayload) => settle({ payload: responsePayload, isError: true }),
+      progress: (data) => reply({ payload: data, isError: false, kind: 'progress' }),
+      emit: (chunk, { transfer } = {}) => {
+        if (!streamOpen) {
+          return false;
+        }
+
+        return reply({ payload: chunk, isError: false, kind: 'chunk', transfer });
+      },
+      end: () => {
+        if (!streamOpen) {
+          return false;
+        }
+
+        streamOpen = false;
+        return settle({ payload: undefined, isError: false, kind: 'end' });
+      }
+    };
+
+    return { context, isSettled: () => settled };
+  };
+
+  const runResponder = ({ responder, message, context, isSettled }) => {
+    const respondWith = (value) => {
+      if (!isSettled()) {
+        context.respond(value);
+      }
+    };
 
-  const runListener = ({ listener, message, context }) => {
+    try {
+      const result = responder(message.payload, context);
+      if (isPromiseLike(result)) {
+        result.then(respondWith).catch((error) => {
+          handleListenerFailure({ message, context, error });
+        });
+        return;
+      }
+
+      respondWith(result);
+    } catch (error) {
+      handleListenerFailure({ message, context, error });
+    }
+  };
+
+  const runListener = ({ listener, message, context, answersRequest }) => {
     try {
       const result = listener(message.payload, context);
       if (isPromiseLike(result)) {
         result.catch((error) => {
-          handleListenerFailure(message, error);
+          handleListenerFailure({ message, context, error, answersRequest });
         });
       }
     } catch (error) {
-      handleListenerFailure(message, error);
+      handleListenerFailure({ message, context, error, answersRequest });
     }
   };
 
-  const dispatchToListeners = (message, listeners) => {
-    const context = createListenerContext(message);
-    for (const listener of listeners) {
-      runListener({ listener, message, context });
+  const dispatchToHandlers = ({ message, sender, responder, listeners }) => {
+    const { context, isSettled } = createListenerContext(message, sender);
+    if (responder) {
+      runResponder({ responder, message, context, isSettled });
+    }
+
+    // Only the responder settles a request it handles; listener failures are then just logged.
+    for (const listener of listeners ?? []) {
+      runListener({ listener, message, context, answersRequest: !responder });
     }
   };
 
-  const handleListenerFailure = (message, error) => {
+  const handleListenerFailure = ({ message, context, error, answersRequest = true }) => {
+    if (context.signal.aborted) {
+      return;
+    }
+
     safeLogError(`[SimplexBus] Handler failed for type "${message.type}"`, error);
 
-    if (!message.id) {
+    if (!message.id || !answersRequest) {
       return;
     }
 
     try {
-      sendResponse({
-        message,
-        payload: toRemoteErrorPayload(error),
-        isError: true
-      });
+      context.respondError(errorCodec.encode(error));
     } catch (responseError) {
       safeLogError('[SimplexBus] Failed to send handler error response', responseError);
     }
   };
 
-  return (raw) => {
+  const dispatchMessage = ({ message, raw, sender }) => {
     if (isDisposed()) {
       return;
     }
 
-    if (isOversizedIncomingString(raw)) {
-      safeLogError(
-        `[SimplexBus] Incoming message exceeds maxIncomingMessageBytes (${maxIncomingMessageBytes}).`
-      );
+    if (message.kind === 'hello') {
+      receiveHello(message);
       return;
     }
 
-    const message = tryNormalizeMessage(raw);
-    if (!message) {
+    if (message.kind === 'ping' || message.kind === 'pong') {
+      receiveHeartbeat(message);
       return;
     }
 
     const pending = getPendingFromMessage(message);
     if (pending && message.type === pending.expectedResponseType) {
-      if (!isTrustedPendingResponse({ message, pending, raw })) {
+      if (!isTrustedPendingResponse({ message, pending, raw, sender })) {
         return;
       }
       settlePendingResponse({ message, pending });
       return;
     }
 
+    if (message.kind === 'cancel') {
+      if (message.id) {
+        inboundRequests.cancel(message);
+      }
+      return;
+    }
+
+    if (RESPONSE_ONLY_KINDS.has(message.kind)) {
+      return;
+    }
+
     if (!isAllowedType(message.type)) {
+      replyWithFault(message, FAULT_CODES.TYPE_NOT_ALLOWED, `Type "${message.type}" is not allowed.`);
       return;
     }
 
@@ -180,11 +376,60 @@ export const createReceive = ({
       return;
     }
 
+    const responder = responders.get(message.type);
     const listeners = handlers.get(message.type);
-    if (!listeners || listeners.size === 0) {
+    if (!responder && (!listeners || listeners.size === 0)) {
+      replyWithFault(message, FAULT_CODES.NO_HANDLER, `No handler registered for type "${message.type}".`);
+      return;
+    }
+
+    dispatchToHandlers({ message, sender, responder, listeners });
+  };
+
+  const logProcessingFailure = (error) => {
+    safeLogError('[SimplexBus] Failed to process incoming message', error);
+  };
+
+  // Fragments are reassembled before middleware and validation run. A reassembled message already passed the
+  // `maxReassembledMessageBytes` cap instead of `maxIncomingMessageBytes`, and cannot itself be a fragment.
+  const receiveRaw = (raw, sender, reassembled) => {
+    const message = tryNormalizeMessage(raw);
+    if (!message) {
+      return;
+    }
+
+    if (message.kind === 'fragment') {
+      const whole = reassembled ? undefined : reassemble(message);
+      if (whole !== undefined) {
+        receiveRaw(whole, sender, true);
+      }
+      return;
+    }
+
+    const info = { direction: 'inbound', category: getEnvelopeCategory(message, isResponseType), raw, sender };
+
+    try {
+      const result = runInbound(message, info, (envelope) => dispatchMessage({ message: envelope, raw, sender }));
+      if (isPromiseLike(result)) {
+        result.catch(logProcessingFailure);
+      }
+    } catch (error) {
+      logProcessingFailure(error);
+    }
+  };
+
+  return (raw, sender) => {
+    if (isDisposed()) {
+      return;
+    }
+
+    if (isOversizedIncoming(raw)) {
+      safeLogError(
+        `[SimplexBus] Incoming message exceeds maxIncomingMessageBytes (${maxIncomingMessageBytes}).`
+      );
       return;
     }
 
-    dispatchToListeners(message, listeners);
+    receiveRaw(raw, sender, false);
   };
 };
@@ -4,23 +4,26 @@ import {
   CommandBusTimeoutError
 } from '../errors.js';
 import { parseRequestOptions } from './config.js';
-import { getRandomHex, isNonEmptyString } from './shared.js';
+import { getRandomHex, isNonEmptyString, isPromiseLike } from './shared.js';
+import { createResponseStream } from './stream.js';
 
-export const createRequest = ({
+const createPendingDispatcher = ({
   assertNotDisposed,
   pendingRequests,
   maxPendingRequests,
   getResponseType,
   generateId,
-  sendEnvelope
-}) => (type, payload, optionsOrTimeout) => {
+  sendEnvelope,
+  requestTimeoutFrom,
+  safeLogError
+}) => (type, optionsOrTimeout) => {
   assertNotDisposed();
 
   if (!isNonEmptyString(type)) {
     throw new TypeError('`type` must be a non-empty string.');
   }
 
-  const { timeout, signal } = parseRequestOptions(optionsOrTimeout);
+  const { timeout, signal, onProgress, keepAlive, meta, transfer } = parseRequestOptions(optionsOrTimeout);
 
   if (!Number.isFinite(timeout) || timeout < 0) {
     throw new TypeError('`timeout` must be a finite number greater than or equal to 0.');
@@ -30,6 +33,14 @@ export const createRequest = ({
     throw new TypeError('`signal` must be an instance of AbortSignal when provided.');
   }
 
+  if (onProgress !== undefined && typeof onProgress !== 'function') {
+    throw new TypeError('`onProgress` must be a function when provided.');
+  }
+
+  if (typeof keepAlive !== 'boolean') {
+    throw new TypeError('`keepAlive` must be a boolean when provided.');
+  }
+
   const id = generateId();
   const nonce = getRandomHex(16);
   const expectedResponseType = getResponseType(type);
@@ -40,45 +51,147 @@ export const createRequest = ({
     );
   }
 
-  return new Promise((resolve, reject) => {
-    const timer = setTimeout(() => {
-      pendingRequests.clear(id);
-      reject(new CommandBusTimeoutError(type, timeout));
-    }, timeout);
+  let flushed = false;
+
+  const cancel = (error) => {
+    const pending = pendingRequests.get(id);
+    if (!pending) {
+      return;
+    }
+
+    pendingRequests.clear(id);
+    pending.reject(error);
+
+    // Still in the outbox: the peer never saw the request, so there is nothing to cancel remotely.
+    if (!flushed) {
+      return;
+    }
+
+    const logCancelFailure = (cancelError) => {
+      safeLogError(`[SimplexBus] Failed to send cancel for type "${type}"`, cancelError);
+    };
+
+    try {
+      const result = sendEnvelope({ type, id, nonce, kind: 'cancel' }, { skipPayloadValidation: true });
+      if (isPromiseLike(result)) {
+        result.catch(logCancelFailure);
+      }
+    } catch (cancelError) {
+      logCancelFailure(cancelError);
+    }
+  };
+
+  const dispatch = ({ payload, kind, resolve, reject, stream }) => {
+    const onTimeout = () => cancel(new CommandBusTimeoutError(type, timeout));
 
     const pending = {
       type,
       expectedResponseType,
       nonce,
-      timer,
+      timer: undefined,
+      timeout,
+      onTimeout,
       signal,
       abortListener: undefined,
+      messages: undefined,
+      onProgress,
+      keepAlive,
+      stream,
       resolve,
       reject
     };
 
     if (signal) {
       if (signal.aborted) {
-        clearTimeout(timer);
         reject(new CommandBusAbortedError(type));
         return;
       }
 
-      pending.abortListener = () => {
-        pendingRequests.clear(id);
-        reject(new CommandBusAbortedError(type));
-      };
+      pending.abortListener = () => cancel(new CommandBusAbortedError(type));
 
       signal.addEventListener('abort', pending.abortListener, { once: true });
     }
 
     pendingRequests.set(id, pending);
 
-    try {
-      sendEnvelope({ type, payload, id, nonce });
-    } catch (error) {
+    const startTimer = () => {
+      pending.timer = setTimeout(onTimeout, timeout);
+    };
+
+    if (requestTimeoutFrom === 'enqueue') {
+      startTimer();
+    }
+
+    const envelope = { type, payload, id, nonce };
+    if (kind !== undefined) {
+      envelope.kind = kind;
+    }
+
+    const failDispatch = (error) => {
       pendingRequests.clear(id);
       reject(error);
+    };
+
+    try {
+      const result = sendEnvelope(envelope, {
+        meta,
+        transfer,
+        holdUntilReady: true,
+        onFlush: () => {
+          flushed = true;
+          if (requestTimeoutFrom === 'flush') {
+            startTimer();
+          }
+        },
+        // Transferred buffers are detached once sent, so such requests are never replayed.
+        onSerialized: (messages) => {
+          if (transfer === undefined) {
+            pending.messages = messages;
+          }
+        },
+        isStale: () => pendingRequests.get(id) !== pending
+      });
+      if (isPromiseLike(result)) {
+        result.catch(failDispatch);
+      }
+    } catch (error) {
+      failDispatch(error);
     }
-  });
+  };
+
+  return {
+    dispatch,
+    abort: () => cancel(new CommandBusAbortedError(type))
+  };
+};
+
+export const createRequest = (deps) => {
+  const preparePending = createPendingDispatcher(deps);
+
+  return (type, payload, optionsOrTimeout) => {
+    const { dispatch } = preparePending(type, optionsOrTimeout);
+
+    return new Promise((resolve, reject) => {
+      dispatch({ payload, resolve, reject });
+    });
+  };
+};
+
+export const createRequestStream = (deps) => {
+  const preparePending = createPendingDispatcher(deps);
+
+  return (type, payload, optionsOrTimeout) => {
+    const { dispatch, abort } = preparePending(type, optionsOrTimeout);
+    const stream = createResponseStream({ onReturn: abort });
+
+    dispatch({
+      payload,
+      kind: 'stream',
+      resolve: stream.close,
+      reject: stream.fail,
+      stream
+    });
+
+    return stream.iterator;
+  };
 };
@@ -1,40 +1,139 @@
-import { CommandBusValidationError } from '../errors.js';
-import { serializeEnvelope } from './message.js';
+import { CommandBusSerializationError, CommandBusValidationError } from '../errors.js';
+import { getMetaViolation, serializeEnvelope } from './message.js';
+import { assertCloneableEnvelope, sendCloneable } from './objectEncoding.js';
+import { getEnvelopeCategory } from './middleware.js';
+import { UNVALIDATED_ENVELOPE_KINDS, isObject, isPromiseLike } from './shared.js';
 
 export const createSendEnvelope = ({
   assertNotDisposed,
   isAllowedType,
+  isResponseType,
   validatePayload,
+  defaultMeta,
+  maxMetaBytes,
+  outbox,
+  runOutbound,
   serializer,
+  encoding,
+  toTransportMessages,
   sendFn
-}) => (message, { skipTypeGuard = false } = {}) => {
+}) => (
+  message,
+  {
+    skipTypeGuard = false,
+    skipPayloadValidation = false,
+    meta,
+    holdUntilReady = false,
+    onFlush,
+    onSerialized,
+    isStale,
+    transfer
+  } = {}
+) => {
   assertNotDisposed();
 
   if (!skipTypeGuard && !isAllowedType(message.type)) {
     throw new CommandBusValidationError(`Message type not allowed: "${message.type}".`);
   }
 
-  validatePayload(message.type, message.payload);
+  if (!skipPayloadValidation) {
+    validatePayload(message.type, message.payload);
+  }
+
+  if (meta !== undefined && !isObject(meta)) {
+    throw new CommandBusValidationError('Message `meta` must be an object.');
+  }
+
+  if (transfer !== undefined) {
+    if (!Array.isArray(transfer)) {
+      throw new CommandBusValidationError('Message `transfer` must be an array.');
+    }
+
+    if (encoding !== 'object') {
+      throw new CommandBusValidationError('Message `transfer` requires `encoding: "object"`.');
+    }
+  }
+
+  const mergedMeta = { ...defaultMeta, ...meta };
+  if (Object.keys(mergedMeta).length > 0) {
+    const violation = getMetaViolation(mergedMeta, maxMetaBytes);
+    if (violation) {
+      throw new CommandBusValidationError(`Message \`meta\` ${violation}.`);
+    }
+    message.meta = mergedMeta;
+  }
+
+  const info = { direction: 'outbound', category: getEnvelopeCategory(message, isResponseType) };
 
-  const serialized = serializeEnvelope(serializer, message.type, message);
-  sendFn(serialized);
+  const dispatch = () => {
+    onFlush?.();
+    return runOutbound(message, info, (envelope) => {
+      assertNotDisposed();
+      // Object mode hands the envelope to a structured-clone transport such as postMessage as is.
+      const serialized =
+        encoding === 'object'
+          ? assertCloneableEnvelope(envelope.type, envelope)
+          : serializeEnvelope(serializer, envelope.type, envelope);
+      if (encoding === 'binary' && !(serialized instanceof Uint8Array)) {
+        throw new CommandBusSerializationError(
+          `Failed to serialize message type "${envelope.type}": binary encoding needs a serializer returning a Uint8Array.`
+        );
+      }
+      const sendOne = (outgoing) => (transfer === undefined ? sendFn(outgoing) : sendFn(outgoing, { transfer }));
+      if (encoding === 'object') {
+        // Object mode never fragments, so a transfer list always travels with the one message it belongs to.
+        onSerialized?.([serialized]);
+        sendCloneable(envelope.type, () => sendOne(serialized));
+        return;
+      }
+
+      const messages = toTransportMessages(serialized);
+      onSerialized?.(messages);
+      messages.forEach(sendOne);
+    });
+  };
+
+  if (holdUntilReady && outbox.isHeld()) {
+    return outbox.enqueue({ type: message.type, dispatch, isStale });
+  }
+
+  return dispatch();
 };
 
-export const createSendResponse = ({ getResponseType, sendEnvelope }) => ({ message, payload, isError }) => {
+export const createSendResponse = ({ getResponseType, sendEnvelope, safeLogError }) => ({
+  message,
+  payload,
+  isError,
+  kind,
+  transfer
+}) => {
   if (!message.id) {
     return false;
   }
 
-  sendEnvelope(
-    {
-      type: getResponseType(message.type),
-      payload,
-      id: message.id,
-      nonce: message.nonce,
-      isError
-    },
-    { skipTypeGuard: true }
-  );
+  const envelope = {
+    type: getResponseType(message.type),
+    payload,
+    id: message.id,
+    nonce: message.nonce,
+    isError
+  };
+
+  if (kind !== undefined) {
+    envelope.kind = kind;
+  }
+
+  const result = sendEnvelope(envelope, {
+    skipTypeGuard: true,
+    skipPayloadValidation: UNVALIDATED_ENVELOPE_KINDS.has(kind),
+    transfer
+  });
+
+  if (isPromiseLike(result)) {
+    result.catch((error) => {
+      safeLogError(`[SimplexBus] Failed to send response for type "${message.type}"`, error);
+    });
+  }
 
   return true;
 };
@@ -9,8 +9,44 @@ export const DEFAULT_RESPONSE_SUFFIX = '-response';
 export const DEFAULT_REQUEST_TIMEOUT_MS = 5000;
 export const DEFAULT_MAX_INCOMING_MESSAGE_BYTES = 64 * 1024;
 export const DEFAULT_MAX_PENDING_REQUESTS = 500;
+export const DEFAULT_MAX_META_BYTES = 4 * 1024;
+export const DEFAULT_MAX_OUTBOX_MESSAGES = 100;
+export const DEFAULT_OUTBOX_TTL_MS = 30000;
+export const DEFAULT_FRAGMENT_TIMEOUT_MS = 10000;
+export const DEFAULT_MAX_CONCURRENT_REASSEMBLIES = 16;
+export const DEFAULT_REQUEST_TIMEOUT_FROM = 'enqueue';
+export const REQUEST_TIMEOUT_FROM_VALUES = new Set(['enqueue', 'flush']);
+export const DEFAULT_ENCODING = 'string';
+export const ENCODINGS = new Set(['string', 'object', 'binary']);
 export const DEFAULT_RESPONSE_TRUST_MODE = 'auto';
 export const RESPONSE_TRUST_MODES = new Set(['auto', 'strict', 'permissive']);
+export const DEFAULT_UNHANDLED_REQUEST_MODE = 'reply';
+export const UNHANDLED_REQUEST_MODES = new Set(['reply', 'silent']);
+export const ENVELOPE_KINDS = new Set([
+  'stream',
+  'chunk',
+  'end',
+  'progress',
+  'cancel',
+  'fault',
+  'hello',
+  'ping',
+  'pong',
+  'fragment'
+]);
+export const UNVALIDATED_ENVELOPE_KINDS = new Set(['end', 'progress', 'fault']);
+export const PROTOCOL_VERSION = 1;
+export const PROTOCOL_FEATURES = Object.freeze(['nonce', 'meta', 'stream', 'progress', 'cancel', 'fault', 'fragment']);
+export const HANDSHAKE_TYPE = 'simplex-bus:hello';
+export const HEARTBEAT_TYPE = 'simplex-bus:heartbeat';
+export const FRAGMENT_TYPE = 'simplex-bus:fragment';
+export const DEFAULT_MAX_MISSED_HEARTBEATS = 3;
+export const PEER_EVENTS = new Set(['peer-lost', 'peer-restored', 'transport-changing', 'transport-changed']);
+export const FAULT_CODES = {
+  NO_HANDLER: 'NO_HANDLER',
+  TYPE_NOT_ALLOWED: 'TYPE_NOT_ALLOWED',
+  VALIDATION_FAILED: 'VALIDATION_FAILED'
+};
 
 export class CsprngUnavailableError extends Error {
   constructor(message = 'CSPRNG is not available in this environment') {
@@ -25,6 +61,11 @@ export const isNonEmptyString = (value) => typeof value === 'string' && value.le
 
 export const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
 
+export const isBinary = (value) => value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+
+export const isPromiseLike = (value) =>
+  value !== null && typeof value === 'object' && typeof value.then === 'function';
+
 export const getStringSizeInBytes = (value) =>
   TEXT_ENCODER ? TEXT_ENCODER.encode(value).length : value.length;
 
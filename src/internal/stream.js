@@ -0,0 +1,87 @@
+export const createResponseStream = ({ onReturn }) => {
+  const buffered = [];
+  const waiting = [];
+  let done = false;
+  let failure;
+
+  const push = (chunk) => {
+    if (done) {
+      return;
+    }
+
+    const next = waiting.shift();
+    if (next) {
+      next.resolve({ value: chunk, done: false });
+      return;
+    }
+
+    buffered.push(chunk);
+  };
+
+  const close = () => {
+    if (done) {
+      return;
+    }
+
+    done = true;
+    for (const next of waiting.splice(0)) {
+      next.resolve({ value: undefined, done: true });
+    }
+  };
+
+  const fail = (error) => {
+    if (done) {
+      return;
+    }
+
+    done = true;
+    const [first, ...rest] = waiting.splice(0);
+    if (!first) {
+      failure = error;
+      return;
+    }
+
+    first.reject(error);
+    for (const next of rest) {
+      next.resolve({ value: undefined, done: true });
+    }
+  };
+
+  const iterator = {
+    next: () => {
+      if (buffered.length > 0) {
+        return Promise.resolve({ value: buffered.shift(), done: false });
+      }
+
+      if (failure) {
+        const error = failure;
+        failure = undefined;
+        return Promise.reject(error);
+      }
+
+      if (done) {
+        return Promise.resolve({ value: undefined, done: true });
+      }
+
+      return new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject });
+      });
+    },
+    return: () => {
+      buffered.length = 0;
+      failure = undefined;
+
+      if (!done) {
+        close();
+        onReturn();
+      }
+
+      return Promise.resolve({ value: undefined, done: true });
+    },
+    [Symbol.asyncIterator]() {
+      return iterator;
+    }
+  };
+
+  return { push, close, fail, iterator };
+};
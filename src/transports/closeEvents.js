@@ -0,0 +1,24 @@
+// Calls `handler` once for the first of several close-like events, with the error when there is one.
+export const subscribeToClose = (sources, handler) => {
+  let closed = false;
+  const listener = (reason) => {
+    if (!closed) {
+      closed = true;
+      handler(reason instanceof Error ? reason : undefined);
+    }
+  };
+
+  for (const [emitter, events] of sources) {
+    for (const event of events) {
+      emitter.on(event, listener);
+    }
+  }
+
+  return () => {
+    for (const [emitter, events] of sources) {
+      for (const event of events) {
+        emitter.removeListener(event, listener);
+      }
+    }
+  };
+};
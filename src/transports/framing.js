@@ -0,0 +1,99 @@
+const HEADER_BYTES = 4;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Encodes a message as a 4-byte big-endian byte length followed by its bytes: the UTF-8 bytes for a string,
+ * the bytes themselves for a Uint8Array.
+ *
+ * @param {string | Uint8Array} message
+ * @returns {Uint8Array}
+ */
+export function encodeLengthPrefixedFrame(message) {
+  const body = typeof message === 'string' ? textEncoder.encode(message) : message;
+  const frame = new Uint8Array(HEADER_BYTES + body.length);
+  new DataView(frame.buffer).setUint32(0, body.length);
+  frame.set(body, HEADER_BYTES);
+  return frame;
+}
+
+/**
+ * Creates a push decoder for length-prefixed frames split or concatenated across chunks.
+ * Frames whose header announces more than `maxFrameBytes` are skipped without allocating their body.
+ *
+ * @param {object} options
+ * @param {number} options.maxFrameBytes
+ * @param {(message: string | Uint8Array) => void} options.onFrame
+ * @param {(length: number) => void} [options.onOversized]
+ * @param {boolean} [options.binary] deliver frame bodies as Uint8Array instead of decoding them as UTF-8
+ * @returns {(chunk: Uint8Array) => void}
+ */
+export function createLengthPrefixedDecoder({ maxFrameBytes, onFrame, onOversized = () => {}, binary = false }) {
+  if (!Number.isFinite(maxFrameBytes) || maxFrameBytes <= 0) {
+    throw new TypeError('`maxFrameBytes` must be a finite number greater than 0.');
+  }
+
+  if (typeof onFrame !== 'function') {
+    throw new TypeError('`onFrame` must be a function.');
+  }
+
+  const header = new Uint8Array(HEADER_BYTES);
+  let headerFill = 0;
+  let body;
+  let bodyFill = 0;
+  let skipRemaining = 0;
+
+  return (chunk) => {
+    let offset = 0;
+
+    while (offset < chunk.length) {
+      if (skipRemaining > 0) {
+        const skipped = Math.min(skipRemaining, chunk.length - offset);
+        skipRemaining -= skipped;
+        offset += skipped;
+        continue;
+      }
+
+      if (!body) {
+        const copied = Math.min(HEADER_BYTES - headerFill, chunk.length - offset);
+        header.set(chunk.subarray(offset, offset + copied), headerFill);
+        headerFill += copied;
+        offset += copied;
+
+        if (headerFill < HEADER_BYTES) {
+          return;
+        }
+
+        headerFill = 0;
+        const length = new DataView(header.buffer).getUint32(0);
+
+        if (length > maxFrameBytes) {
+          skipRemaining = length;
+          onOversized(length);
+          continue;
+        }
+
+        if (length === 0) {
+          onFrame(binary ? new Uint8Array(0) : '');
+          continue;
+        }
+
+        body = new Uint8Array(length);
+        bodyFill = 0;
+        continue;
+      }
+
+      const copied = Math.min(body.length - bodyFill, chunk.length - offset);
+      body.set(chunk.subarray(offset, offset + copied), bodyFill);
+      bodyFill += copied;
+      offset += copied;
+
+      if (bodyFill === body.length) {
+        const message = binary ? body : textDecoder.decode(body);
+        body = undefined;
+        onFrame(message);
+      }
+    }
+  };
+}
@@ -0,0 +1,104 @@
+import { isNonEmptyString } from '../internal/shared.js';
+
+const assertMessageTarget = (target, name) => {
+  if (!target || typeof target.postMessage !== 'function') {
+    throw new TypeError(`\`${name}\` must provide a postMessage function.`);
+  }
+};
+
+// DOM targets and Node MessagePorts are EventTargets; worker_threads Workers only expose EventEmitter methods.
+const subscribeToMessages = (target, listener) => {
+  if (typeof target.addEventListener === 'function') {
+    const onMessage = (event) => listener(event.data, event);
+    target.addEventListener('message', onMessage);
+    if (typeof target.start === 'function') {
+      target.start();
+    }
+    return () => target.removeEventListener('message', onMessage);
+  }
+
+  if (typeof target.on === 'function') {
+    const onMessage = (data) => listener(data);
+    target.on('message', onMessage);
+    return () => (target.off ?? target.removeListener).call(target, 'message', onMessage);
+  }
+
+  throw new TypeError('Message target must support addEventListener or on.');
+};
+
+// The bus passes `{ transfer }` only for sends given a transfer list, which requires `encoding: 'object'`.
+const createTargetTransport = (target) => ({
+  sendFn: (message, { transfer } = {}) =>
+    transfer === undefined ? target.postMessage(message) : target.postMessage(message, transfer),
+  onReceive: (handler) => subscribeToMessages(target, (data) => handler(data))
+});
+
+/**
+ * Transport for a Window or iframe: posts to `targetOrigin` only and accepts messages from `targetWindow` at that origin only.
+ *
+ * @param {object} options
+ * @param {{ postMessage: (message: string, targetOrigin: string) => void }} options.targetWindow
+ * @param {string} options.targetOrigin
+ * @param {{ addEventListener: Function, removeEventListener: Function }} [options.selfWindow]
+ */
+export function createWindowTransport({ targetWindow, targetOrigin, selfWindow = globalThis.window } = {}) {
+  assertMessageTarget(targetWindow, 'targetWindow');
+
+  if (!isNonEmptyString(targetOrigin) || targetOrigin === '*') {
+    throw new TypeError('`targetOrigin` must be an explicit origin; "*" is not allowed.');
+  }
+
+  if (!selfWindow || typeof selfWindow.addEventListener !== 'function') {
+    throw new TypeError('`selfWindow` must be a window-like event target.');
+  }
+
+  return {
+    sendFn: (message, { transfer } = {}) =>
+      transfer === undefined
+        ? targetWindow.postMessage(message, targetOrigin)
+        : targetWindow.postMessage(message, targetOrigin, transfer),
+    onReceive: (handler) =>
+      subscribeToMessages(selfWindow, (data, event) => {
+        if (event.origin !== targetOrigin || event.source !== targetWindow) {
+          return;
+        }
+
+        handler(data, { origin: event.origin, source: event.source });
+      })
+  };
+}
+
+/**
+ * Transport for one side of a MessageChannel. The port stays owned by the caller.
+ *
+ * @param {object} options
+ * @param {{ postMessage: (message: string) => void }} options.port
+ */
+export function createMessagePortTransport({ port } = {}) {
+  assertMessageTarget(port, 'port');
+  return createTargetTransport(port);
+}
+
+/**
+ * Transport for a Worker, a worker_threads Worker, or the worker side (`self` / `parentPort`).
+ *
+ * @param {object} options
+ * @param {{ postMessage: (message: string) => void }} options.worker
+ */
+export function createWorkerTransport({ worker } = {}) {
+  assertMessageTarget(worker, 'worker');
+  return createTargetTransport(worker);
+}
+
+/**
+ * Transport for a BroadcastChannel. Every other listener on the channel receives each message.
+ * BroadcastChannel cannot transfer, so a `transfer` list is ignored and its buffers are copied.
+ * Pair it with `unhandledRequestMode: 'silent'`, or a peer without the handler fails requests with `NO_HANDLER`.
+ *
+ * @param {object} options
+ * @param {{ postMessage: (message: string) => void }} options.channel
+ */
+export function createBroadcastChannelTransport({ channel } = {}) {
+  assertMessageTarget(channel, 'channel');
+  return { ...createTargetTransport(channel), sendFn: (message) => channel.postMessage(message) };
+}
@@ -0,0 +1,143 @@
+import { createCommandBus } from '../createCommandBus.js';
+import { CommandBusTransportClosedError } from '../errors.js';
+import { DEFAULT_MAX_INCOMING_MESSAGE_BYTES, NOOP_LOGGER, isObject } from '../internal/shared.js';
+import { subscribeToClose } from './closeEvents.js';
+import { createLengthPrefixedDecoder, encodeLengthPrefixedFrame } from './framing.js';
+
+/**
+ * Transport over a connected `net.Socket` (TCP or Unix domain socket) using length-prefixed frames.
+ *
+ * @param {object} options
+ * @param {{ write: Function, on: Function, removeListener: Function, writable?: boolean }} options.socket
+ * @param {number} [options.maxIncomingMessageBytes]
+ * @param {{ error?: (...args: unknown[]) => void }} [options.logger]
+ * @param {boolean} [options.binary] deliver frames as Uint8Array, for buses with `encoding: 'binary'`
+ */
+export function createSocketTransport({
+  socket,
+  maxIncomingMessageBytes = DEFAULT_MAX_INCOMING_MESSAGE_BYTES,
+  logger = NOOP_LOGGER,
+  binary = false
+} = {}) {
+  if (!socket || typeof socket.write !== 'function' || typeof socket.on !== 'function') {
+    throw new TypeError('`socket` must be a connected duplex socket.');
+  }
+
+  if (!Number.isFinite(maxIncomingMessageBytes) || maxIncomingMessageBytes <= 0) {
+    throw new TypeError('`maxIncomingMessageBytes` must be a finite number greater than 0.');
+  }
+
+  if (typeof binary !== 'boolean') {
+    throw new TypeError('`binary` must be a boolean when provided.');
+  }
+
+  return {
+    sendFn: (message) => {
+      if (socket.writable === false) {
+        throw new CommandBusTransportClosedError();
+      }
+
+      socket.write(encodeLengthPrefixedFrame(message));
+    },
+    onReceive: (handler) => {
+      const onData = createLengthPrefixedDecoder({
+        maxFrameBytes: maxIncomingMessageBytes,
+        binary,
+        onFrame: (message) => handler(message),
+        onOversized: (length) => {
+          if (typeof logger?.error === 'function') {
+            logger.error(
+              `[SimplexBus] Incoming frame of ${length} bytes exceeds maxIncomingMessageBytes (${maxIncomingMessageBytes}).`
+            );
+          }
+        }
+      });
+      socket.on('data', onData);
+      return () => socket.removeListener('data', onData);
+    },
+    onClose: (handler) => subscribeToClose([[socket, ['end', 'close', 'error']]], handler)
+  };
+}
+
+/**
+ * Creates one bus per connection accepted by a `net.Server`. Each bus is disposed when its socket closes.
+ * `maxIncomingMessageBytes`, `logger` and `encoding: 'binary'` from `config` also apply to the frame decoder.
+ *
+ * @param {object} options
+ * @param {{ on: Function, removeListener: Function }} options.server
+ * @param {object} [options.config] createCommandBus config without the transport functions
+ * @param {(bus: ReturnType<typeof createCommandBus>, socket: unknown) => void} [options.onBus]
+ * @returns {{ readonly buses: ReadonlySet<ReturnType<typeof createCommandBus>>, close: () => void }}
+ */
+export function attachSocketServer({ server, config = {}, onBus } = {}) {
+  if (!server || typeof server.on !== 'function' || typeof server.removeListener !== 'function') {
+    throw new TypeError('`server` must be a net.Server-like event emitter.');
+  }
+
+  if (onBus !== undefined && typeof onBus !== 'function') {
+    throw new TypeError('`onBus` must be a function when provided.');
+  }
+
+  if (!isObject(config)) {
+    throw new TypeError('`config` must be an object when provided.');
+  }
+
+  // A probe bus fails fast on an invalid config here instead of on the first connection.
+  createCommandBus({ ...config, sendFn: () => {}, onReceive: () => {} }).dispose();
+
+  const buses = new Set();
+
+  // Throwing from the `connection` listener would take the whole server process down, so failures are logged and
+  // only the affected socket is closed.
+  const logConnectionError = (message, error) => {
+    if (typeof config.logger?.error === 'function') {
+      config.logger.error(message, error);
+    }
+  };
+
+  const onConnection = (socket) => {
+    let bus;
+    try {
+      bus = createCommandBus({
+        ...config,
+        ...createSocketTransport({
+          socket,
+          maxIncomingMessageBytes: config.maxIncomingMessageBytes,
+          logger: config.logger,
+          binary: config.encoding === 'binary'
+        })
+      });
+    } catch (error) {
+      logConnectionError('[SimplexBus] Failed to create a bus for an incoming connection', error);
+      socket.destroy();
+      return;
+    }
+
+    buses.add(bus);
+    socket.once('close', () => {
+      buses.delete(bus);
+      bus.dispose();
+    });
+
+    try {
+      onBus?.(bus, socket);
+    } catch (error) {
+      logConnectionError('[SimplexBus] onBus failed for an incoming connection', error);
+      buses.delete(bus);
+      bus.dispose();
+      socket.destroy();
+    }
+  };
+
+  server.on('connection', onConnection);
+
+  return {
+    get buses() {
+      return buses;
+    },
+    // Stops creating buses; existing connections stay open and their buses stay usable.
+    close: () => {
+      server.removeListener('connection', onConnection);
+    }
+  };
+}
@@ -0,0 +1,158 @@
+import { CommandBusTransportClosedError } from '../errors.js';
+import { DEFAULT_MAX_INCOMING_MESSAGE_BYTES, NOOP_LOGGER } from '../internal/shared.js';
+import { subscribeToClose } from './closeEvents.js';
+
+const NEWLINE = 0x0a;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+const assertPositiveLimit = (maxIncomingMessageBytes) => {
+  if (!Number.isFinite(maxIncomingMessageBytes) || maxIncomingMessageBytes <= 0) {
+    throw new TypeError('`maxIncomingMessageBytes` must be a finite number greater than 0.');
+  }
+};
+
+const concatBytes = (parts, size) => {
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  for (const part of parts) {
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+  return bytes;
+};
+
+// Splits a byte stream on "\n". A line is dropped as soon as it grows past the limit, so an
+// unterminated oversized line never sits in memory; the rest of it is skipped up to the next newline.
+const createLineDecoder = ({ maxLineBytes, onLine, onOversized }) => {
+  let parts = [];
+  let size = 0;
+  let skipping = false;
+
+  return (chunk) => {
+    const bytes = typeof chunk === 'string' ? textEncoder.encode(chunk) : chunk;
+    let start = 0;
+
+    while (start <= bytes.length) {
+      const newline = bytes.indexOf(NEWLINE, start);
+      const end = newline === -1 ? bytes.length : newline;
+
+      if (!skipping && end > start) {
+        size += end - start;
+        if (size > maxLineBytes) {
+          skipping = true;
+          parts = [];
+          onOversized();
+        } else {
+          parts.push(bytes.subarray(start, end));
+        }
+      }
+
+      if (newline === -1) {
+        return;
+      }
+
+      if (!skipping) {
+        const line = textDecoder.decode(concatBytes(parts, size));
+        if (line.trim() !== '') {
+          onLine(line);
+        }
+      }
+
+      parts = [];
+      size = 0;
+      skipping = false;
+      start = newline + 1;
+    }
+  };
+};
+
+/**
+ * Transport for a Node IPC channel: a `child_process.fork()` child, or `process` inside that child.
+ *
+ * @param {object} options
+ * @param {{ send: Function, on: Function, removeListener: Function, connected?: boolean }} options.child
+ */
+export function createChildProcessTransport({ child } = {}) {
+  if (!child || typeof child.send !== 'function' || typeof child.on !== 'function') {
+    throw new TypeError('`child` must be a process with an IPC channel.');
+  }
+
+  return {
+    sendFn: (message) => {
+      if (child.connected === false) {
+        throw new CommandBusTransportClosedError();
+      }
+
+      // The callback keeps a racing disconnect from surfacing as an unhandled "error" event.
+      child.send(message, () => {});
+    },
+    onReceive: (handler) => {
+      const onMessage = (message) => handler(message);
+      child.on('message', onMessage);
+      return () => child.removeListener('message', onMessage);
+    },
+    onClose: (handler) => subscribeToClose([[child, ['disconnect']]], handler)
+  };
+}
+
+/**
+ * Transport over a readable/writable stream pair using newline-delimited JSON, e.g.
+ * `{ input: child.stdout, output: child.stdin }` in the parent and `{ input: process.stdin, output: process.stdout }` in the child.
+ * The bus serializer must not emit raw newlines; `JSON.stringify` never does.
+ *
+ * @param {object} options
+ * @param {{ on: Function, removeListener: Function }} options.input
+ * @param {{ write: Function, on: Function, removeListener: Function, writable?: boolean }} options.output
+ * @param {number} [options.maxIncomingMessageBytes]
+ * @param {{ error?: (...args: unknown[]) => void }} [options.logger]
+ */
+export function createStdioTransport({
+  input,
+  output,
+  maxIncomingMessageBytes = DEFAULT_MAX_INCOMING_MESSAGE_BYTES,
+  logger = NOOP_LOGGER
+} = {}) {
+  if (!input || typeof input.on !== 'function') {
+    throw new TypeError('`input` must be a readable stream.');
+  }
+
+  if (!output || typeof output.write !== 'function' || typeof output.on !== 'function') {
+    throw new TypeError('`output` must be a writable stream.');
+  }
+
+  assertPositiveLimit(maxIncomingMessageBytes);
+
+  return {
+    sendFn: (message) => {
+      if (output.writable === false) {
+        throw new CommandBusTransportClosedError();
+      }
+
+      output.write(`${message}\n`);
+    },
+    onReceive: (handler) => {
+      const onData = createLineDecoder({
+        maxLineBytes: maxIncomingMessageBytes,
+        onLine: (line) => handler(line),
+        onOversized: () => {
+          if (typeof logger?.error === 'function') {
+            logger.error(`[SimplexBus] Incoming line exceeds maxIncomingMessageBytes (${maxIncomingMessageBytes}).`);
+          }
+        }
+      });
+      input.on('data', onData);
+      return () => input.removeListener('data', onData);
+    },
+    // Listening for "error" also keeps an EPIPE from a dead peer from crashing the process.
+    onClose: (handler) =>
+      subscribeToClose(
+        [
+          [input, ['end', 'close']],
+          [output, ['close', 'error']]
+        ],
+        handler
+      )
+  };
+}
@@ -0,0 +1,201 @@
+import { CommandBusLimitError, CommandBusTransportClosedError } from '../errors.js';
+import { isNonEmptyString } from '../internal/shared.js';
+
+const WEB_SOCKET_OPEN = 1;
+const PENDING_REQUEST_POLICIES = new Set(['reject', 'keep', 'resend']);
+
+const assertNonNegativeNumber = (value, name) => {
+  if (typeof value !== 'number' || Number.isNaN(value) || value < 0) {
+    throw new TypeError(`\`${name}\` must be a number greater than or equal to 0.`);
+  }
+};
+
+/**
+ * Transport over the standard `WebSocket` API that reconnects with exponential backoff and buffers
+ * outbound messages while disconnected. `pendingRequestPolicy` decides what happens to requests
+ * awaiting a response when the connection drops: `reject` them, `keep` them until their timeout,
+ * or `resend` them once reconnected. The socket is closed when the bus is disposed.
+ *
+ * @param {object} options
+ * @param {string | URL} options.url
+ * @param {string | string[]} [options.protocols]
+ * @param {new (url: string | URL, protocols?: string | string[]) => WebSocket} [options.WebSocket]
+ * @param {boolean} [options.reconnect]
+ * @param {number} [options.minReconnectDelay]
+ * @param {number} [options.maxReconnectDelay]
+ * @param {number} [options.maxReconnectAttempts]
+ * @param {number} [options.maxBufferedMessages]
+ * @param {'reject' | 'keep' | 'resend'} [options.pendingRequestPolicy]
+ */
+export function createWebSocketTransport({
+  url,
+  protocols,
+  WebSocket: WebSocketClass = globalThis.WebSocket,
+  reconnect = true,
+  minReconnectDelay = 250,
+  maxReconnectDelay = 10000,
+  maxReconnectAttempts = Infinity,
+  maxBufferedMessages = 100,
+  pendingRequestPolicy = 'reject'
+} = {}) {
+  if (!isNonEmptyString(url) && !(url instanceof URL)) {
+    throw new TypeError('`url` must be a non-empty string or URL.');
+  }
+
+  if (typeof WebSocketClass !== 'function') {
+    throw new TypeError('`WebSocket` must be a WebSocket constructor; none is available globally.');
+  }
+
+  if (typeof reconnect !== 'boolean') {
+    throw new TypeError('`reconnect` must be a boolean when provided.');
+  }
+
+  assertNonNegativeNumber(minReconnectDelay, 'minReconnectDelay');
+  assertNonNegativeNumber(maxReconnectDelay, 'maxReconnectDelay');
+  assertNonNegativeNumber(maxReconnectAttempts, 'maxReconnectAttempts');
+
+  if (!Number.isInteger(maxBufferedMessages) || maxBufferedMessages <= 0) {
+    throw new TypeError('`maxBufferedMessages` must be a positive integer.');
+  }
+
+  if (!PENDING_REQUEST_POLICIES.has(pendingRequestPolicy)) {
+    throw new TypeError('`pendingRequestPolicy` must be one of: "reject", "keep", "resend".');
+  }
+
+  const receiveHandlers = new Set();
+  const closeHandlers = new Set();
+  const reconnectHandlers = new Set();
+  let buffer = [];
+  let socket;
+  let attempts = 0;
+  let hasConnected = false;
+  let reconnectTimer;
+  let resending = false;
+  let closed = false;
+
+  const notify = (handlers, ...args) => {
+    for (const handler of [...handlers]) {
+      handler(...args);
+    }
+  };
+
+  const flush = () => {
+    const queued = buffer;
+    buffer = [];
+    for (const message of queued) {
+      socket.send(message);
+    }
+  };
+
+  const shutdown = () => {
+    closed = true;
+    buffer = [];
+    notify(closeHandlers);
+  };
+
+  const scheduleReconnect = () => {
+    if (!reconnect || attempts >= maxReconnectAttempts) {
+      shutdown();
+      return;
+    }
+
+    const delay = Math.min(maxReconnectDelay, minReconnectDelay * 2 ** attempts);
+    attempts += 1;
+    reconnectTimer = setTimeout(connect, delay);
+  };
+
+  const onOpen = () => {
+    const isReconnect = hasConnected;
+    attempts = 0;
+    hasConnected = true;
+
+    if (isReconnect && pendingRequestPolicy === 'resend') {
+      // Requests sent while disconnected are still buffered and go out with the flush below.
+      resending = true;
+      try {
+        notify(reconnectHandlers);
+      } finally {
+        resending = false;
+      }
+    }
+
+    flush();
+  };
+
+  const onMessage = (event) => {
+    notify(receiveHandlers, event.data);
+  };
+
+  const onSocketClose = () => {
+    socket.removeEventListener('open', onOpen);
+    socket.removeEventListener('message', onMessage);
+    socket.removeEventListener('close', onSocketClose);
+    socket = undefined;
+
+    if (closed) {
+      return;
+    }
+
+    if (hasConnected && pendingRequestPolicy === 'reject') {
+      notify(closeHandlers);
+    }
+
+    scheduleReconnect();
+  };
+
+  const connect = () => {
+    socket = protocols === undefined ? new WebSocketClass(url) : new WebSocketClass(url, protocols);
+    socket.addEventListener('open', onOpen);
+    socket.addEventListener('message', onMessage);
+    socket.addEventListener('close', onSocketClose);
+  };
+
+  const dispose = () => {
+    if (closed) {
+      return;
+    }
+
+    closed = true;
+    clearTimeout(reconnectTimer);
+    buffer = [];
+    socket?.close();
+  };
+
+  connect();
+
+  return {
+    sendFn: (message) => {
+      if (closed) {
+        throw new CommandBusTransportClosedError();
+      }
+
+      if (socket?.readyState === WEB_SOCKET_OPEN) {
+        if (!(resending && buffer.includes(message))) {
+          socket.send(message);
+        }
+        return;
+      }
+
+      if (buffer.length >= maxBufferedMessages) {
+        throw new CommandBusLimitError(`WebSocket buffer limit reached (${maxBufferedMessages}) while reconnecting.`);
+      }
+
+      buffer.push(message);
+    },
+    onReceive: (handler) => {
+      receiveHandlers.add(handler);
+      return () => {
+        receiveHandlers.delete(handler);
+        dispose();
+      };
+    },
+    onClose: (handler) => {
+      closeHandlers.add(handler);
+      return () => closeHandlers.delete(handler);
+    },
+    onReconnect: (handler) => {
+      reconnectHandlers.add(handler);
+      return () => reconnectHandlers.delete(handler);
+    }
+  };
+}
@@ -0,0 +1,150 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CommandBusSerializationError, createBinaryCodec, createCommandBus } from '../index.js';
+
+const { parser, serializer } = createBinaryCodec();
+const viaJson = (value) => JSON.parse(JSON.stringify(value));
+const viaBinary = (value) => parser(serializer(value));
+
+const ENVELOPES = [
+  { type: 'log', payload: 'hello' },
+  { type: 'log', payload: undefined, meta: { traceId: 't-1', attempt: 2, sampled: true, parent: null } },
+  { type: 'get-profile', payload: { id: 'u-1' }, id: 'req-1', nonce: 'a1b2c3', kind: 'stream' },
+  { type: 'get-profile', id: 'req-1', nonce: 'a1b2c3', kind: 'cancel' },
+  { type: 'get-profile-response', payload: { name: 'Ada' }, id: 'req-1', nonce: 'a1b2c3', isError: false },
+  { type: 'get-profile-response', payload: [1, 2], id: 'req-1', nonce: undefined, isError: false, kind: 'chunk' },
+  { type: 'get-profile-response', id: 'req-1', nonce: 'a1b2c3', isError: false, kind: 'end' },
+  { type: 'get-profile-response', payload: { percent: 50 }, id: 'req-1', isError: false, kind: 'progress' },
+  {
+    type: 'get-profile-response',
+    payload: { code: 'NO_HANDLER', message: 'No handler.', details: { fields: [] } },
+    id: 'req-1',
+    nonce: 'a1b2c3',
+    isError: true,
+    kind: 'fault'
+  },
+  {
+    type: 'simplex-bus:hello',
+    payload: { protocol: 1, features: ['nonce', 'meta'], types: ['log'], ack: false },
+    kind: 'hello'
+  },
+  { type: 'simplex-bus:heartbeat', payload: { seq: 70000, sentAt: 1714567890123 }, kind: 'ping' }
+];
+
+const PAYLOADS = [
+  0,
+  -0,
+  127,
+  128,
+  255,
+  256,
+  65535,
+  65536,
+  2 ** 32 - 1,
+  2 ** 32,
+  Number.MAX_SAFE_INTEGER,
+  -1,
+  -32,
+  -33,
+  -128,
+  -129,
+  -32768,
+  -32769,
+  -(2 ** 31),
+  -(2 ** 31) - 1,
+  0.1,
+  -1.5e300,
+  NaN,
+  Infinity,
+  '',
+  'é🙂',
+  'x'.repeat(31),
+  'x'.repeat(32),
+  'x'.repeat(256),
+  'x'.repeat(70000),
+  Array.from({ length: 16 }, (_, index) => index),
+  Array.from({ length: 70000 }, () => 1),
+  Object.fromEntries(Array.from({ length: 16 }, (_, index) => [`k${index}`, index])),
+  [undefined, () => {}, null],
+  { skipped: undefined, fn: () => {}, kept: true },
+  { at: new Date('2024-05-01T00:00:00.000Z') },
+  JSON.parse('{"__proto__":{"polluted":true}}')
+];
+
+test('every envelope field decodes exactly as it does through JSON', () => {
+  for (const envelope of ENVELOPES) {
+    assert.deepEqual(viaBinary(envelope), viaJson(envelope), envelope.kind ?? envelope.type);
+  }
+});
+
+test('payload values decode exactly as they do through JSON', () => {
+  for (const payload of PAYLOADS) {
+    const envelope = { type: 'value', payload };
+    assert.deepEqual(viaBinary(envelope), viaJson(envelope));
+  }
+
+  const decoded = viaBinary(JSON.parse('{"__proto__":{"polluted":true}}'));
+  assert.equal(Object.getPrototypeOf(decoded), Object.prototype);
+  assert.equal({}.polluted, undefined);
+});
+
+test('Uint8Array payloads travel as raw bytes and small events stay compact', () => {
+  const envelope = { type: 'sensor', payload: { id: 7, value: 21.5, raw: Uint8Array.of(1, 2, 3) } };
+  const encoded = serializer(envelope);
+
+  assert.deepEqual(parser(encoded), envelope);
+  assert.ok(encoded.length < new TextEncoder().encode(JSON.stringify(envelope)).length);
+  assert.deepEqual(parser(encoded.buffer.slice(encoded.byteOffset, encoded.byteOffset + encoded.length)), envelope);
+});
+
+test('malformed binary messages are rejected', () => {
+  const valid = serializer({ type: 'log', payload: 'hello' });
+
+  assert.throws(() => parser(valid.subarray(0, valid.length - 1)), /Unexpected end/);
+  assert.throws(() => parser(Uint8Array.of(...valid, 0)), /trailing bytes/);
+  assert.throws(() => parser(Uint8Array.of(0xc1)), /Unsupported binary type byte 0xc1/);
+  assert.throws(() => parser(Uint8Array.of(0xdd, 0xff, 0xff, 0xff, 0xff)), /more entries/);
+  assert.throws(() => parser(Uint8Array.of(0x81, 0x01, 0x01)), /keys must be strings/);
+  assert.throws(() => parser(Uint8Array.of(0xa1, 0xff)), TypeError);
+  assert.throws(() => parser('{}'), /Uint8Array/);
+
+  const circular = { type: 'log' };
+  circular.payload = circular;
+  assert.throws(() => serializer(circular), /circular/);
+  assert.throws(() => serializer({ type: 'log', payload: 1n }), /bigint/);
+});
+
+test('binary buses hand Uint8Array to sendFn and enforce maxIncomingMessageBytes on byte length', async () => {
+  const logs = [];
+  const received = [];
+  let busB;
+  const busA = createCommandBus({ ...createBinaryCodec(), sendFn: (message) => busB.receive(message) });
+  busB = createCommandBus({
+    ...createBinaryCodec(),
+    maxIncomingMessageBytes: 128,
+    logger: { error: (...args) => logs.push(args) },
+    sendFn: (message) => {
+      assert.ok(message instanceof Uint8Array);
+      busA.receive(message);
+    }
+  });
+
+  busB.handle('sum', (values) => values.reduce((total, value) => total + value, 0));
+  busB.on('log', (payload) => received.push(payload));
+
+  assert.equal(await busA.request('sum', [1, 2, 3], 500), 6);
+
+  busA.send('log', 'x'.repeat(40));
+  busA.send('log', 'x'.repeat(200));
+  assert.deepEqual(received, ['x'.repeat(40)]);
+  assert.equal(logs.length, 1);
+  assert.match(logs[0][0], /maxIncomingMessageBytes \(128\)/);
+});
+
+test('binary encoding requires a serializer returning bytes', () => {
+  const bus = createCommandBus({ encoding: 'binary', sendFn: () => {} });
+
+  assert.throws(() => bus.send('log', 'x'), CommandBusSerializationError);
+  assert.throws(() => bus.send('log', 'x'), /Uint8Array/);
+});
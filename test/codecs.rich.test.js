@@ -0,0 +1,126 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CommandBusSerializationError, createCommandBus, createRichCodec } from '../index.js';
+
+const roundTrip = (value) => {
+  const { parser, serializer } = createRichCodec();
+  return parser(serializer({ type: 'value', payload: value })).payload;
+};
+
+test('rich codec round-trips values JSON cannot represent', () => {
+  const value = {
+    at: new Date('2024-05-01T12:00:00.000Z'),
+    index: new Map([
+      [1, 'one'],
+      [{ id: 2 }, new Set(['a', 'b'])]
+    ]),
+    tags: new Set([1, 2]),
+    big: 2n ** 70n,
+    pattern: /^a+b$/gi,
+    numbers: [NaN, Infinity, -Infinity, -0, 1.5],
+    missing: undefined,
+    holes: [, 1],
+    nested: { $type: 'Date', value: 'not a tag' }
+  };
+
+  const decoded = roundTrip(value);
+
+  assert.deepEqual(decoded, { ...value, holes: [undefined, 1] });
+  assert.equal(Object.hasOwn(decoded, 'missing'), true);
+  assert.equal(Object.is(decoded.numbers[3], -0), true);
+  assert.equal(decoded.pattern.flags, 'gi');
+  assert.ok(Number.isNaN(roundTrip(new Date(NaN)).getTime()));
+});
+
+test('rich codec round-trips typed arrays, ArrayBuffer and DataView', () => {
+  const source = new Uint8Array([0, 1, 2, 3, 4, 5, 6, 7, 255]);
+  const value = {
+    bytes: source.subarray(1, 5),
+    clamped: new Uint8ClampedArray([0, 255]),
+    floats: new Float64Array([0.5, -2]),
+    words: new Int16Array([-1, 300]),
+    bigs: new BigUint64Array([2n ** 64n - 1n]),
+    buffer: source.buffer.slice(0, 3),
+    view: new DataView(source.buffer, 6, 2)
+  };
+
+  const decoded = roundTrip(value);
+
+  assert.deepEqual([...decoded.bytes], [1, 2, 3, 4]);
+  assert.ok(decoded.clamped instanceof Uint8ClampedArray);
+  assert.deepEqual([...decoded.floats], [0.5, -2]);
+  assert.deepEqual([...decoded.words], [-1, 300]);
+  assert.deepEqual([...decoded.bigs], [2n ** 64n - 1n]);
+  assert.deepEqual([...new Uint8Array(decoded.buffer)], [0, 1, 2]);
+  assert.deepEqual([decoded.view.getUint8(0), decoded.view.getUint8(1)], [6, 7]);
+});
+
+test('cyclic and shared references are restored and encode deterministically', () => {
+  const { serializer } = createRichCodec();
+  const shared = { name: 'shared' };
+  const root = { left: shared, right: shared, list: [shared] };
+  root.self = root;
+  const registry = new Map([['root', root]]);
+  root.registry = registry;
+
+  const first = serializer({ type: 'graph', payload: root });
+  assert.equal(serializer({ type: 'graph', payload: root }), first);
+
+  const decoded = roundTrip(root);
+  assert.equal(decoded.self, decoded);
+  assert.equal(decoded.left, decoded.right);
+  assert.equal(decoded.list[0], decoded.left);
+  assert.equal(decoded.registry.get('root'), decoded);
+});
+
+test('prototype-pollution keys are dropped when decoding', () => {
+  const { parser } = createRichCodec();
+  const decoded = parser(
+    JSON.stringify({
+      type: 'merge',
+      payload: {
+        __proto__: { polluted: true },
+        constructor: { prototype: { polluted: true } },
+        nested: { $type: 'Object', value: { __proto__: { polluted: true }, kept: 1 } }
+      }
+    })
+  );
+
+  assert.equal(Object.getPrototypeOf(decoded.payload), Object.prototype);
+  assert.equal(Object.hasOwn(decoded.payload, '__proto__'), false);
+  assert.equal(Object.hasOwn(decoded.payload, 'constructor'), false);
+  assert.deepEqual(decoded.payload.nested, { kept: 1 });
+  assert.equal({}.polluted, undefined);
+});
+
+test('malformed tags are rejected and uncodable values fail serialization', () => {
+  const { parser, serializer } = createRichCodec();
+
+  assert.throws(() => parser('{"type":"x","payload":{"$type":"toString"}}'), /Unknown \$type tag "toString"/);
+  assert.throws(() => parser('{"type":"x","payload":{"$type":"Ref","value":9}}'), /Unknown reference 9/);
+  assert.throws(() => parser('{"type":"x","payload":{"$type":"Number","value":"1"}}'), /Number/);
+  assert.throws(() => serializer({ type: 'x', payload: () => {} }), /Cannot encode a function/);
+});
+
+test('buses sharing the rich codec exchange Dates, Maps and BigInts', async () => {
+  const codec = createRichCodec();
+  let busB;
+  const busA = createCommandBus({ ...codec, sendFn: (message) => busB.receive(message) });
+  busB = createCommandBus({ ...codec, sendFn: (message) => busA.receive(message) });
+
+  busB.handle('summarize', ({ since, totals }) => ({
+    since,
+    total: [...totals.values()].reduce((sum, value) => sum + value, 0n)
+  }));
+
+  const since = new Date('2024-01-01T00:00:00.000Z');
+  const totals = new Map([
+    ['a', 2n ** 60n],
+    ['b', 1n]
+  ]);
+  const result = await busA.request('summarize', { since, totals }, 500);
+
+  assert.deepEqual(result, { since, total: 2n ** 60n + 1n });
+  assert.throws(() => busA.send('log', { callback: () => {} }), CommandBusSerializationError);
+});
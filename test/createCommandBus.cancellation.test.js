@@ -0,0 +1,119 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  CommandBusAbortedError,
+  CommandBusDisposedError,
+  CommandBusTimeoutError,
+  createCommandBus
+} from '../index.js';
+import { createLinkedBuses } from '../fixtures/helpers/createLinkedBuses.js';
+
+test('aborting a request aborts the remote handler signal and suppresses late responses', async () => {
+  const { busA, busB } = createLinkedBuses();
+  let handlerContext;
+
+  busB.on('export', (_, context) => {
+    handlerContext = context;
+  });
+
+  const controller = new AbortController();
+  const pending = busA.request('export', undefined, { timeout: 1000, signal: controller.signal });
+  assert.equal(handlerContext.signal.aborted, false);
+
+  controller.abort();
+
+  await assert.rejects(() => pending, CommandBusAbortedError);
+  assert.equal(handlerContext.signal.aborted, true);
+  assert.ok(handlerContext.signal.reason instanceof CommandBusAbortedError);
+  assert.equal(handlerContext.respond('late'), false);
+  assert.equal(handlerContext.progress(1), false);
+});
+
+test('request timeout sends a cancel envelope to the remote handler', async () => {
+  const { busA, busB } = createLinkedBuses();
+  let handlerSignal;
+
+  busB.on('export', (_, context) => {
+    handlerSignal = context.signal;
+  });
+
+  await assert.rejects(() => busA.request('export', undefined, 20), CommandBusTimeoutError);
+  assert.equal(handlerSignal.aborted, true);
+});
+
+test('returning from a stream early cancels the remote handler', async () => {
+  const { busA, busB } = createLinkedBuses();
+  let handlerContext;
+
+  busB.on('tail', (_, context) => {
+    handlerContext = context;
+    context.emit('first');
+  });
+
+  for await (const chunk of busA.requestStream('tail', undefined, 1000)) {
+    assert.equal(chunk, 'first');
+    break;
+  }
+
+  assert.equal(handlerContext.signal.aborted, true);
+  assert.equal(handlerContext.emit('second'), false);
+});
+
+test('cancel envelopes with a mismatched nonce are ignored', () => {
+  const sent = [];
+  const bus = createCommandBus({
+    sendFn: (message) => sent.push(JSON.parse(message))
+  });
+  let handlerContext;
+
+  bus.on('export', (_, context) => {
+    handlerContext = context;
+  });
+
+  bus.receive(JSON.stringify({ type: 'export', id: 'req-1', nonce: 'abc' }));
+  bus.receive(JSON.stringify({ type: 'export', id: 'req-1', nonce: 'spoofed', kind: 'cancel' }));
+
+  assert.equal(handlerContext.signal.aborted, false);
+  assert.equal(handlerContext.respond('done'), true);
+  assert.deepEqual(sent.map((message) => message.payload), ['done']);
+});
+
+test('handler failures after cancellation do not send error responses', async () => {
+  const sent = [];
+  const logs = [];
+  const bus = createCommandBus({
+    sendFn: (message) => sent.push(JSON.parse(message)),
+    logger: { error: (...args) => logs.push(args) }
+  });
+  let rejectWork;
+
+  bus.on('export', (_, context) => {
+    context.signal.addEventListener('abort', () => rejectWork(context.signal.reason));
+    return new Promise((_resolve, reject) => {
+      rejectWork = reject;
+    });
+  });
+
+  bus.receive(JSON.stringify({ type: 'export', id: 'req-1', nonce: 'abc' }));
+  bus.receive(JSON.stringify({ type: 'export', id: 'req-1', nonce: 'abc', kind: 'cancel' }));
+  await new Promise((resolve) => setTimeout(resolve, 0));
+
+  assert.equal(sent.length, 0);
+  assert.equal(logs.length, 0);
+});
+
+test('dispose aborts signals of in-flight handlers', () => {
+  const bus = createCommandBus({ sendFn: () => {} });
+  let handlerSignal;
+
+  bus.on('export', (_, context) => {
+    handlerSignal = context.signal;
+  });
+
+  bus.receive(JSON.stringify({ type: 'export', id: 'req-1', nonce: 'abc' }));
+  bus.dispose();
+
+  assert.equal(handlerSignal.aborted, true);
+  assert.ok(handlerSignal.reason instanceof CommandBusDisposedError);
+});
@@ -0,0 +1,137 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CommandBusRemoteError, createCommandBus } from '../index.js';
+import { createLinkedBuses } from '../fixtures/helpers/createLinkedBuses.js';
+
+class AuthExpiredError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'AuthExpiredError';
+  }
+}
+
+class QuotaError extends Error {}
+
+const errorClasses = { AUTH_EXPIRED: AuthExpiredError, QUOTA: QuotaError };
+
+test('registered error classes are rehydrated with code and custom fields', async () => {
+  const { busA, busB } = createLinkedBuses(
+    { errorClasses },
+    { errorClasses, logger: { error: () => {} } }
+  );
+
+  busB.handle('get-token', () => {
+    const error = new AuthExpiredError('Session expired');
+    error.expiredAt = 1700000000000;
+    throw error;
+  });
+
+  await assert.rejects(
+    () => busA.request('get-token', undefined, 100),
+    (error) => {
+      assert.ok(error instanceof AuthExpiredError);
+      assert.equal(error.name, 'AuthExpiredError');
+      assert.equal(error.message, 'Session expired');
+      assert.equal(error.code, 'AUTH_EXPIRED');
+      assert.equal(error.expiredAt, 1700000000000);
+      return true;
+    }
+  );
+});
+
+test('cause chains are serialized and rehydrated', async () => {
+  const { busA, busB } = createLinkedBuses(
+    { errorClasses },
+    { errorClasses, logger: { error: () => {} } }
+  );
+
+  busB.handle('upload', () => {
+    throw new QuotaError('Upload rejected', {
+      cause: new AuthExpiredError('Token expired', { cause: new TypeError('clock skew') })
+    });
+  });
+
+  await assert.rejects(
+    () => busA.request('upload', undefined, 100),
+    (error) => {
+      assert.ok(error instanceof QuotaError);
+      assert.ok(error.cause instanceof AuthExpiredError);
+      assert.equal(error.cause.message, 'Token expired');
+      assert.ok(error.cause.cause instanceof Error);
+      assert.equal(error.cause.cause.message, 'clock skew');
+      return true;
+    }
+  );
+});
+
+test('stack traces are only sent when exposeErrorStack is enabled', () => {
+  const sent = [];
+  const createBus = (exposeErrorStack) =>
+    createCommandBus({
+      errorClasses,
+      exposeErrorStack,
+      logger: { error: () => {} },
+      sendFn: (message) => sent.push(JSON.parse(message))
+    });
+
+  for (const exposeErrorStack of [false, true]) {
+    const bus = createBus(exposeErrorStack);
+    bus.handle('fail', () => {
+      throw new QuotaError('nope');
+    });
+    bus.receive(JSON.stringify({ type: 'fail', id: 'req-1', nonce: 'abc' }));
+  }
+
+  assert.deepEqual(sent[0].payload, { message: 'nope', name: 'Error', code: 'QUOTA' });
+  assert.equal(typeof sent[1].payload.stack, 'string');
+});
+
+test('respondError payloads with a registered code are rehydrated', async () => {
+  const { busA, busB } = createLinkedBuses({ errorClasses }, {});
+
+  busB.on('get-token', (_, context) => {
+    context.respondError({ code: 'AUTH_EXPIRED', message: 'Session expired' });
+  });
+
+  await assert.rejects(() => busA.request('get-token', undefined, 100), AuthExpiredError);
+});
+
+test('unregistered errors keep the CommandBusRemoteError shape', async () => {
+  const { busA, busB } = createLinkedBuses({ errorClasses }, { logger: { error: () => {} } });
+
+  busB.handle('get-token', () => {
+    throw new AuthExpiredError('Session expired');
+  });
+
+  await assert.rejects(
+    () => busA.request('get-token', undefined, 100),
+    (error) => {
+      assert.ok(error instanceof CommandBusRemoteError);
+      assert.deepEqual(error.payload, { message: 'Session expired' });
+      return true;
+    }
+  );
+});
+
+test('reserved keys in remote error fields are ignored', async () => {
+  let capturedRequest;
+  const bus = createCommandBus({
+    errorClasses,
+    sendFn: (message) => {
+      capturedRequest = JSON.parse(message);
+    }
+  });
+
+  const pending = bus.request('get-token', undefined, 100);
+  bus.receive(
+    `{"type":"get-token-response","id":"${capturedRequest.id}","nonce":"${capturedRequest.nonce}","isError":true,` +
+      '"payload":{"code":"AUTH_EXPIRED","message":"x","fields":{"__proto__":{"polluted":true},"retryIn":5}}}'
+  );
+
+  await assert.rejects(
+    () => pending,
+    (error) => error instanceof AuthExpiredError && error.retryIn === 5 && error.polluted === undefined
+  );
+  assert.equal({}.polluted, undefined);
+});
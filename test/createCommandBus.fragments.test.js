@@ -0,0 +1,219 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CommandBusLimitError, createBinaryCodec, createCommandBus } from '../index.js';
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const byteLength = (message) => (typeof message === 'string' ? new TextEncoder().encode(message).length : message.length);
+
+const createLinkedFragmentingBuses = (config) => {
+  const sizes = [];
+  let busB;
+  const busA = createCommandBus({
+    ...config,
+    sendFn: (message) => {
+      sizes.push(byteLength(message));
+      busB.receive(message);
+    }
+  });
+  busB = createCommandBus({
+    ...config,
+    sendFn: (message) => {
+      sizes.push(byteLength(message));
+      busA.receive(message);
+    }
+  });
+  return { busA, busB, sizes };
+};
+
+const fragment = (id, index, data, final = false) =>
+  JSON.stringify({ type: 'simplex-bus:fragment', kind: 'fragment', payload: { id, index, data, final } });
+
+const captureFragments = (config) => {
+  const sent = [];
+  const bus = createCommandBus({ ...config, sendFn: (message) => sent.push(message) });
+  return { bus, sent };
+};
+
+test('oversized string envelopes are split under maxFragmentBytes and reassembled', async () => {
+  const { busA, busB, sizes } = createLinkedFragmentingBuses({
+    maxFragmentBytes: 256,
+    maxIncomingMessageBytes: 256,
+    maxReassembledMessageBytes: 64 * 1024
+  });
+  const seen = [];
+  busB.use({
+    inbound: (envelope, info) => {
+      seen.push(`${info.category}:${envelope.type}`);
+    }
+  });
+  busB.handle('echo', (payload) => payload);
+
+  const payload = { text: '"é🙂\\\n\u0001'.repeat(400), small: 1 };
+
+  assert.deepEqual(await busA.request('echo', payload, 500), payload);
+  assert.ok(sizes.length > 20);
+  assert.ok(sizes.every((size) => size <= 256));
+  assert.deepEqual(seen, ['request:echo']);
+});
+
+test('binary envelopes are split into byte fragments and reassembled', async () => {
+  const { busA, busB, sizes } = createLinkedFragmentingBuses({
+    ...createBinaryCodec(),
+    maxFragmentBytes: 200,
+    maxIncomingMessageBytes: 200,
+    maxReassembledMessageBytes: 64 * 1024
+  });
+  const bytes = Uint8Array.from({ length: 5000 }, (_, index) => index % 251);
+  busB.handle('checksum', (payload) => payload.reduce((total, value) => total + value, 0));
+
+  assert.equal(await busA.request('checksum', bytes, 500), bytes.reduce((total, value) => total + value, 0));
+  assert.ok(sizes.every((size) => size <= 200));
+});
+
+test('interleaved and reordered fragments of concurrent messages are reassembled separately', () => {
+  const { bus: sender, sent } = captureFragments({ maxFragmentBytes: 128 });
+  const received = [];
+  const receiver = createCommandBus({ sendFn: () => {} });
+  receiver.on('log', (payload) => received.push(payload));
+
+  sender.send('log', 'a'.repeat(500));
+  const firstCount = sent.length;
+  sender.send('log', 'b'.repeat(500));
+  const first = sent.slice(0, firstCount);
+  const second = sent.slice(firstCount).reverse();
+
+  for (let index = 0; index < Math.max(first.length, second.length); index += 1) {
+    for (const message of [first[index], second[index]]) {
+      if (message !== undefined) {
+        receiver.receive(message);
+      }
+    }
+  }
+  receiver.receive(first[1]);
+
+  assert.deepEqual(received.sort(), ['a'.repeat(500), 'b'.repeat(500)]);
+});
+
+test('reassembly enforces maxReassembledMessageBytes and fragmentTimeout', async () => {
+  const logs = [];
+  const received = [];
+  const receiver = createCommandBus({
+    maxReassembledMessageBytes: 1000,
+    fragmentTimeout: 20,
+    logger: { error: (...args) => logs.push(args[0]) },
+    sendFn: () => {}
+  });
+  receiver.on('log', (payload) => received.push(payload));
+
+  const { bus: sender, sent } = captureFragments({ maxFragmentBytes: 200 });
+  sender.send('log', 'x'.repeat(2000));
+  sent.forEach((message) => receiver.receive(message));
+  assert.deepEqual(logs, ['[SimplexBus] Reassembled message exceeds maxReassembledMessageBytes (1000).']);
+
+  sent.length = 0;
+  sender.send('log', 'y'.repeat(500));
+  sent.slice(0, -1).forEach((message) => receiver.receive(message));
+  receiver.receive(JSON.stringify({ type: 'simplex-bus:fragment', kind: 'fragment', payload: { id: 'x', index: -1 } }));
+  await delay(50);
+  receiver.receive(sent.at(-1));
+
+  assert.deepEqual(received, []);
+  assert.deepEqual(logs.slice(1), [
+    '[SimplexBus] Dropped invalid message fragment',
+    '[SimplexBus] Dropped incomplete fragmented message after fragmentTimeout (20ms).'
+  ]);
+  receiver.dispose();
+});
+
+test('reassembled messages are capped at maxIncomingMessageBytes unless raised', () => {
+  const logs = [];
+  const received = [];
+  const receiver = createCommandBus({
+    maxIncomingMessageBytes: 1024,
+    logger: { error: (...args) => logs.push(args[0]) },
+    sendFn: () => {}
+  });
+  receiver.on('big', (payload) => received.push(payload));
+
+  const { bus: sender, sent } = captureFragments({ maxFragmentBytes: 512 });
+  sender.send('big', 'x'.repeat(4096));
+  sent.forEach((message) => receiver.receive(message));
+
+  assert.deepEqual(received, []);
+  assert.deepEqual(logs, ['[SimplexBus] Reassembled message exceeds maxReassembledMessageBytes (1024).']);
+  receiver.dispose();
+});
+
+test('open reassemblies and buffered bytes are bounded across messages', () => {
+  const logs = [];
+  const received = [];
+  const receiver = createCommandBus({
+    maxConcurrentReassemblies: 2,
+    maxReassembledMessageBytes: 100,
+    maxReassemblyBufferBytes: 140,
+    logger: { error: (...args) => logs.push(args[0]) },
+    sendFn: () => {}
+  });
+  receiver.on('log', (payload) => received.push(payload));
+
+  const whole = JSON.stringify({ type: 'log', payload: 'ok' });
+  receiver.receive(fragment('a', 0, 'x'.repeat(80)));
+  receiver.receive(fragment('b', 0, whole.slice(0, 10)));
+  receiver.receive(fragment('c', 0, whole.slice(0, 10)));
+  receiver.receive(fragment('b', 1, whole.slice(10), true));
+  receiver.receive(fragment('d', 0, 'y'.repeat(80)));
+  receiver.receive(fragment('e', 0, 'z'.repeat(50)));
+  receiver.receive(fragment('a', 1, 'x'.repeat(15)));
+  receiver.receive(fragment('a', 2, 'x', true));
+
+  assert.deepEqual(received, ['ok']);
+  assert.deepEqual(logs, [
+    '[SimplexBus] Dropped fragmented message: maxConcurrentReassemblies (2) reached.',
+    '[SimplexBus] Dropped fragmented message: maxReassemblyBufferBytes (140) reached.',
+    '[SimplexBus] Dropped fragmented message: maxReassemblyBufferBytes (140) reached.'
+  ]);
+  receiver.dispose();
+});
+
+test('fragments sent to a discarded message do not keep it alive', async () => {
+  const received = [];
+  const receiver = createCommandBus({
+    maxReassembledMessageBytes: 100,
+    fragmentTimeout: 40,
+    logger: { error: () => {} },
+    sendFn: () => {}
+  });
+  receiver.on('log', (payload) => received.push(payload));
+
+  receiver.receive(fragment('a', 0, 'x'.repeat(101)));
+  await delay(25);
+  receiver.receive(fragment('a', 1, 'x'));
+  await delay(30);
+
+  const whole = JSON.stringify({ type: 'log', payload: 'after expiry' });
+  receiver.receive(fragment('a', 0, whole.slice(0, 10)));
+  receiver.receive(fragment('a', 1, whole.slice(10), true));
+
+  assert.deepEqual(received, ['after expiry']);
+  receiver.dispose();
+});
+
+test('fragmentation options are validated', () => {
+  const sendFn = () => {};
+
+  assert.throws(() => createCommandBus({ sendFn, maxFragmentBytes: -1 }), /maxFragmentBytes/);
+  assert.throws(() => createCommandBus({ sendFn, encoding: 'object', maxFragmentBytes: 1024 }), /encoding: "string"/);
+  assert.throws(() => createCommandBus({ sendFn, maxReassembledMessageBytes: 0 }), /maxReassembledMessageBytes/);
+  assert.throws(() => createCommandBus({ sendFn, fragmentTimeout: Infinity }), /fragmentTimeout/);
+  assert.throws(() => createCommandBus({ sendFn, maxConcurrentReassemblies: 1.5 }), /maxConcurrentReassemblies/);
+  assert.throws(
+    () => createCommandBus({ sendFn, maxReassembledMessageBytes: 1000, maxReassemblyBufferBytes: 999 }),
+    /maxReassemblyBufferBytes/
+  );
+
+  const sent = [];
+  const bus = createCommandBus({ maxFragmentBytes: 40, sendFn: (message) => sent.push(message) });
+  assert.throws(() => bus.send('log', 'x'.repeat(100)), CommandBusLimitError);
+  assert.deepEqual(sent, []);
+});
@@ -0,0 +1,177 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  CommandBusDisposedError,
+  CommandBusHandshakeError,
+  CommandBusTimeoutError,
+  createCommandBus
+} from '../index.js';
+import { createLinkedBuses } from '../fixtures/helpers/createLinkedBuses.js';
+
+const createHello = (payload) =>
+  JSON.stringify({ type: 'simplex-bus:hello', kind: 'hello', payload: { ack: false, ...payload } });
+
+test('linked buses exchange protocol, features and handled types', async () => {
+  const { busA, busB } = createLinkedBuses({ handshake: true }, { handshake: true });
+
+  busA.on('notify', () => {});
+  busB.handle('get-token', () => 'token');
+  busB.on('log', () => {});
+
+  const [peerOfA, peerOfB] = await Promise.all([busA.ready, busB.ready]);
+
+  assert.equal(peerOfA.protocol, 1);
+  assert.deepEqual(peerOfA.types, ['get-token', 'log']);
+  assert.ok(peerOfA.features.includes('nonce'));
+  assert.deepEqual(peerOfB.types, ['notify']);
+  assert.deepEqual(busA.peer, peerOfA);
+});
+
+test('a peer that starts later still completes the handshake', async () => {
+  let busB;
+  const busA = createCommandBus({ handshake: true, sendFn: (message) => busB?.receive(message) });
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  assert.equal(busA.peer, undefined);
+
+  busB = createCommandBus({ handshake: true, sendFn: (message) => busA.receive(message) });
+
+  const [peerOfA, peerOfB] = await Promise.all([busA.ready, busB.ready]);
+  assert.equal(peerOfA.protocol, 1);
+  assert.equal(peerOfB.protocol, 1);
+});
+
+test('without handshake the bus is ready immediately and sends no hello', async () => {
+  const sent = [];
+  const bus = createCommandBus({ sendFn: (message) => sent.push(message) });
+
+  assert.equal(await bus.ready, undefined);
+  assert.equal(bus.peer, undefined);
+  assert.deepEqual(sent, []);
+});
+
+test('protocol mismatches reject ready and are still answered', async () => {
+  const sent = [];
+  const bus = createCommandBus({
+    handshake: true,
+    logger: { error: () => {} },
+    sendFn: (message) => sent.push(JSON.parse(message))
+  });
+
+  bus.receive(createHello({ protocol: 99, features: [], types: [] }));
+
+  await assert.rejects(
+    () => bus.ready,
+    (error) => error instanceof CommandBusHandshakeError && error.protocol === 1 && error.peerProtocol === 99
+  );
+  assert.equal(bus.peer, undefined);
+  assert.equal(sent[0].kind, 'hello');
+  assert.equal(sent[0].payload.ack, true);
+});
+
+test('a failed handshake rejects messages held in the outbox', async () => {
+  const sent = [];
+  const bus = createCommandBus({
+    handshake: true,
+    outbox: true,
+    logger: { error: () => {} },
+    sendFn: (message) => sent.push(JSON.parse(message))
+  });
+
+  const queuedRequest = bus.request('get-profile', undefined, 1000);
+  const queuedSend = bus.send('log', 'queued');
+  bus.receive(createHello({ protocol: 99, features: [], types: [] }));
+
+  await assert.rejects(queuedRequest, CommandBusHandshakeError);
+  await assert.rejects(queuedSend, CommandBusHandshakeError);
+  await assert.rejects(() => bus.request('get-profile', undefined, 1000), CommandBusHandshakeError);
+  assert.equal(sent.every((message) => message.kind === 'hello'), true);
+  bus.dispose();
+});
+
+test('auto trust mode follows the nonce feature advertised by the peer', async () => {
+  const createBus = (config = {}) => {
+    let capturedRequest;
+    const bus = createCommandBus({
+      ...config,
+      handshake: true,
+      sendFn: (message) => {
+        capturedRequest = JSON.parse(message);
+      }
+    });
+    const respondWithoutNonce = () =>
+      bus.receive(JSON.stringify({ type: 'legacy-response', id: capturedRequest.id, payload: 'ok' }));
+    return { bus, respondWithoutNonce };
+  };
+
+  const legacy = createBus();
+  legacy.bus.receive(createHello({ protocol: 1, features: ['stream'], types: ['legacy'] }));
+  const legacyPending = legacy.bus.request('legacy', undefined, 25);
+  legacy.respondWithoutNonce();
+  assert.equal(await legacyPending, 'ok');
+
+  const modern = createBus();
+  modern.bus.receive(createHello({ protocol: 1, features: ['nonce'], types: ['legacy'] }));
+  const modernPending = modern.bus.request('legacy', undefined, 25);
+  modern.respondWithoutNonce();
+  await assert.rejects(() => modernPending, CommandBusTimeoutError);
+
+  const strictByDefault = createBus({ onReceive: () => {} });
+  strictByDefault.bus.receive(createHello({ protocol: 1, features: ['stream'], types: ['legacy'] }));
+  const strictPending = strictByDefault.bus.request('legacy', undefined, 25);
+  strictByDefault.respondWithoutNonce();
+  await assert.rejects(() => strictPending, CommandBusTimeoutError);
+});
+
+test('later hellos neither replace the peer nor relax trust until the transport is replaced', async () => {
+  let capturedRequest;
+  const bus = createCommandBus({
+    handshake: true,
+    sendFn: (message) => {
+      capturedRequest = JSON.parse(message);
+    }
+  });
+
+  bus.receive(createHello({ protocol: 1, features: ['nonce'], types: ['get'] }));
+  const peer = await bus.ready;
+  bus.receive(createHello({ protocol: 1, features: [], types: [], ack: true }));
+
+  assert.equal(bus.peer, peer);
+  const pending = bus.request('get', undefined, 25);
+  bus.receive(JSON.stringify({ type: 'get-response', id: capturedRequest.id, payload: 'forged' }));
+  await assert.rejects(() => pending, CommandBusTimeoutError);
+
+  bus.setTransport({ sendFn: () => {} });
+  assert.equal(bus.peer, undefined);
+  bus.receive(createHello({ protocol: 1, features: ['nonce', 'fragment'], types: [] }));
+  assert.deepEqual(bus.peer.features, ['nonce', 'fragment']);
+  bus.dispose();
+});
+
+test('invalid hellos are logged and ignored', () => {
+  const logs = [];
+  const sent = [];
+  const bus = createCommandBus({
+    handshake: true,
+    logger: { error: (...args) => logs.push(args) },
+    sendFn: (message) => sent.push(message)
+  });
+
+  bus.receive(createHello({ protocol: '1', features: [], types: [] }));
+  bus.receive(createHello({ protocol: 1, features: 'nonce', types: [] }));
+
+  assert.equal(bus.peer, undefined);
+  assert.equal(logs.length, 2);
+  assert.deepEqual(sent, []);
+});
+
+test('dispose rejects a pending handshake', async () => {
+  const bus = createCommandBus({ handshake: true, sendFn: () => {} });
+  bus.dispose();
+
+  await assert.rejects(() => bus.ready, CommandBusDisposedError);
+});
+
+test('handshake option is validated', () => {
+  assert.throws(() => createCommandBus({ sendFn: () => {}, handshake: 'yes' }), /handshake/);
+});
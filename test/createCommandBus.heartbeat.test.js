@@ -0,0 +1,129 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CommandBusDisconnectedError, CommandBusTimeoutError, createCommandBus } from '../index.js';
+import { createLinkedBuses } from '../fixtures/helpers/createLinkedBuses.js';
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const createSwitchableLink = (configA = {}) => {
+  const link = { connected: true };
+  let busB;
+  const busA = createCommandBus({
+    ...configA,
+    sendFn: (message) => {
+      if (link.connected) {
+        busB.receive(message);
+      }
+    }
+  });
+  busB = createCommandBus({
+    sendFn: (message) => {
+      if (link.connected) {
+        busA.receive(message);
+      }
+    }
+  });
+
+  return { link, busA, busB };
+};
+
+test('heartbeats mark the peer alive and measure round-trip time', async () => {
+  const { busA } = createLinkedBuses({ heartbeatInterval: 5 }, {});
+
+  assert.equal(busA.peerStatus, 'unknown');
+  await delay(20);
+
+  assert.equal(busA.peerStatus, 'alive');
+  assert.equal(typeof busA.rtt, 'number');
+  assert.ok(busA.rtt >= 0);
+  busA.dispose();
+});
+
+test('missed heartbeats emit peer-lost and a later pong emits peer-restored', async () => {
+  const { link, busA } = createSwitchableLink({ heartbeatInterval: 5, maxMissedHeartbeats: 2 });
+  const events = [];
+
+  busA.onPeerEvent('peer-lost', (details) => events.push(['lost', details.missed]));
+  busA.onPeerEvent('peer-restored', (details) => events.push(['restored', typeof details.rtt]));
+
+  await delay(15);
+  link.connected = false;
+  await delay(40);
+
+  assert.equal(busA.peerStatus, 'lost');
+  assert.deepEqual(events, [['lost', 2]]);
+
+  link.connected = true;
+  await delay(20);
+
+  assert.equal(busA.peerStatus, 'alive');
+  assert.deepEqual(events, [
+    ['lost', 2],
+    ['restored', 'number']
+  ]);
+  busA.dispose();
+});
+
+test('rejectPendingOnPeerLost rejects pending requests with a disconnect error', async () => {
+  const { link, busA } = createSwitchableLink({
+    heartbeatInterval: 5,
+    maxMissedHeartbeats: 2,
+    rejectPendingOnPeerLost: true
+  });
+
+  await delay(10);
+  link.connected = false;
+
+  await assert.rejects(
+    () => busA.request('get-profile', undefined, 1000),
+    (error) => error instanceof CommandBusDisconnectedError && error.missedHeartbeats === 2
+  );
+  busA.dispose();
+});
+
+test('pending requests are kept on peer loss by default', async () => {
+  const { link, busA } = createSwitchableLink({ heartbeatInterval: 5, maxMissedHeartbeats: 1 });
+
+  await delay(10);
+  link.connected = false;
+
+  await assert.rejects(() => busA.request('get-profile', undefined, 40), CommandBusTimeoutError);
+  assert.equal(busA.peerStatus, 'lost');
+  busA.dispose();
+});
+
+test('pings are answered even when local heartbeats are off', () => {
+  const sent = [];
+  const bus = createCommandBus({ allowedTypes: ['ping'], sendFn: (message) => sent.push(JSON.parse(message)) });
+
+  bus.receive(JSON.stringify({ type: 'simplex-bus:heartbeat', kind: 'ping', payload: { seq: 7 } }));
+
+  assert.deepEqual(sent, [{ type: 'simplex-bus:heartbeat', kind: 'pong', payload: { seq: 7 } }]);
+});
+
+test('dispose stops heartbeats and onPeerEvent is validated', async () => {
+  const sent = [];
+  const bus = createCommandBus({ heartbeatInterval: 5, sendFn: (message) => sent.push(message) });
+
+  assert.throws(() => bus.onPeerEvent('peer-gone', () => {}), /peer-lost/);
+  assert.throws(() => bus.onPeerEvent('peer-lost'), /listener/);
+  const unsubscribe = bus.onPeerEvent('peer-lost', () => {});
+  assert.equal(unsubscribe(), true);
+
+  await delay(12);
+  bus.dispose();
+  const sentBeforeDispose = sent.length;
+  await delay(15);
+
+  assert.ok(sentBeforeDispose > 0);
+  assert.equal(sent.length, sentBeforeDispose);
+});
+
+test('heartbeat options are validated', () => {
+  const sendFn = () => {};
+
+  assert.throws(() => createCommandBus({ sendFn, heartbeatInterval: -1 }), /heartbeatInterval/);
+  assert.throws(() => createCommandBus({ sendFn, maxMissedHeartbeats: 0 }), /maxMissedHeartbeats/);
+  assert.throws(() => createCommandBus({ sendFn, rejectPendingOnPeerLost: 1 }), /rejectPendingOnPeerLost/);
+});
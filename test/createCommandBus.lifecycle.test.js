@@ -3,6 +3,7 @@ import assert from 'node:assert/strict';
 
 import {
   CommandBusDisposedError,
+  CommandBusValidationError,
   createCommandBus
 } from '../index.js';
 
@@ -93,3 +94,57 @@ test('dispose is idempotent', () => {
   bus.dispose();
   assert.equal(unsubscribed, 1);
 });
+
+test('handle rejects a second responder for the same type until the first is removed', () => {
+  const bus = createCommandBus({ sendFn: () => {} });
+  const unsubscribe = bus.handle('get-token', () => 'a');
+
+  assert.throws(
+    () => bus.handle('get-token', () => 'b'),
+    (error) => error instanceof CommandBusValidationError && error.message.includes('already has a responder')
+  );
+
+  assert.equal(unsubscribe(), true);
+  assert.doesNotThrow(() => bus.handle('get-token', () => 'b'));
+  assert.equal(bus.off('get-token'), true);
+  assert.equal(bus.off('get-token'), false);
+});
+
+test('on listeners keep running alongside a responder', () => {
+  const sent = [];
+  const bus = createCommandBus({
+    sendFn: (message) => sent.push(JSON.parse(message))
+  });
+  const seen = [];
+
+  bus.handle('get-token', () => 'token');
+  bus.on('get-token', (payload) => {
+    seen.push(payload);
+  });
+
+  bus.receive(JSON.stringify({ type: 'get-token', id: 'req-1', nonce: 'abc', payload: 'audit' }));
+
+  assert.deepEqual(seen, ['audit']);
+  assert.deepEqual(sent.map((message) => message.payload), ['token']);
+});
+
+test('a failing on listener is only logged when a responder answers the request', async () => {
+  const logs = [];
+  let busB;
+  const busA = createCommandBus({ sendFn: (message) => busB.receive(message) });
+  busB = createCommandBus({
+    logger: { error: (...args) => logs.push(args[0]) },
+    sendFn: (message) => busA.receive(message)
+  });
+
+  busB.handle('get', async () => 'ok');
+  busB.on('get', () => {
+    throw new Error('listener failed');
+  });
+  busB.on('get', async () => {
+    throw new Error('async listener failed');
+  });
+
+  assert.equal(await busA.request('get', undefined, 100), 'ok');
+  assert.deepEqual(logs, ['[SimplexBus] Handler failed for type "get"', '[SimplexBus] Handler failed for type "get"']);
+});
@@ -0,0 +1,123 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CommandBusValidationError, createCommandBus } from '../index.js';
+import { createLinkedBuses } from '../fixtures/helpers/createLinkedBuses.js';
+
+test('request meta reaches handler context and inbound middleware', async () => {
+  const { busA, busB } = createLinkedBuses();
+  const seenByMiddleware = [];
+
+  busB.use({
+    inbound: (envelope) => {
+      seenByMiddleware.push(envelope.meta);
+    }
+  });
+  busB.handle('get-token', (_, context) => context.meta);
+
+  const meta = await busA.request('get-token', undefined, { timeout: 100, meta: { traceId: 't-1', attempt: 2 } });
+
+  assert.deepEqual(meta, { traceId: 't-1', attempt: 2 });
+  assert.deepEqual(seenByMiddleware[0], { traceId: 't-1', attempt: 2 });
+});
+
+test('defaultMeta is merged under per-call meta on every outbound envelope', () => {
+  const sent = [];
+  const bus = createCommandBus({
+    defaultMeta: { tenant: 'acme', locale: 'en' },
+    sendFn: (message) => sent.push(JSON.parse(message))
+  });
+
+  bus.send('notify', undefined, { meta: { locale: 'it' } });
+  bus.send('notify');
+  bus.receive(JSON.stringify({ type: 'ping', id: 'req-1', nonce: 'abc' }));
+
+  assert.deepEqual(sent[0].meta, { tenant: 'acme', locale: 'it' });
+  assert.deepEqual(sent[1].meta, { tenant: 'acme', locale: 'en' });
+  assert.deepEqual(sent[2].meta, { tenant: 'acme', locale: 'en' });
+});
+
+test('envelopes without meta omit the field and expose an empty context meta', () => {
+  const sent = [];
+  const bus = createCommandBus({ sendFn: (message) => sent.push(JSON.parse(message)) });
+  let contextMeta;
+
+  bus.on('notify', (_, context) => {
+    contextMeta = context.meta;
+  });
+
+  bus.send('notify');
+  bus.receive(JSON.stringify({ type: 'notify' }));
+
+  assert.equal('meta' in sent[0], false);
+  assert.deepEqual(contextMeta, {});
+});
+
+test('response meta is visible to isTrustedResponse', async () => {
+  let capturedRequest;
+  let trustedMeta;
+  const bus = createCommandBus({
+    sendFn: (message) => {
+      capturedRequest = JSON.parse(message);
+    },
+    isTrustedResponse: ({ meta }) => {
+      trustedMeta = meta;
+      return true;
+    }
+  });
+
+  const pending = bus.request('get-token', undefined, 100);
+  bus.receive(
+    JSON.stringify({
+      type: 'get-token-response',
+      id: capturedRequest.id,
+      nonce: capturedRequest.nonce,
+      isError: false,
+      payload: 'token',
+      meta: { origin: 'auth' }
+    })
+  );
+
+  assert.equal(await pending, 'token');
+  assert.deepEqual(trustedMeta, { origin: 'auth' });
+});
+
+test('invalid or oversized outbound meta is rejected', async () => {
+  const bus = createCommandBus({ maxMetaBytes: 32, sendFn: () => {} });
+
+  assert.throws(() => bus.send('x', undefined, { meta: 'nope' }), CommandBusValidationError);
+  assert.throws(() => bus.send('x', undefined, { meta: { nested: {} } }), /meta/);
+  assert.throws(() => bus.send('x', undefined, { meta: { value: 'a'.repeat(64) } }), /exceeds/);
+  assert.throws(() => bus.send('x', undefined, { meta: JSON.parse('{"__proto__":"x"}') }), /__proto__/);
+  await assert.rejects(
+    () => bus.request('x', undefined, { timeout: 100, meta: { nested: [] } }),
+    CommandBusValidationError
+  );
+});
+
+test('invalid inbound meta drops the message and is logged', () => {
+  const logs = [];
+  const bus = createCommandBus({
+    maxMetaBytes: 32,
+    sendFn: () => {},
+    logger: { error: (...args) => logs.push(args) }
+  });
+  const received = [];
+
+  bus.on('notify', (payload) => received.push(payload));
+
+  bus.receive(JSON.stringify({ type: 'notify', payload: 1, meta: { value: 'a'.repeat(64) } }));
+  bus.receive('{"type":"notify","payload":2,"meta":{"constructor":"x"}}');
+  bus.receive(JSON.stringify({ type: 'notify', payload: 3, meta: ['x'] }));
+  bus.receive(JSON.stringify({ type: 'notify', payload: 4, meta: { ok: true } }));
+
+  assert.deepEqual(received, [4]);
+  assert.equal(logs.length, 3);
+});
+
+test('meta config is validated', () => {
+  assert.throws(() => createCommandBus({ sendFn: () => {}, maxMetaBytes: 0 }), /maxMetaBytes/);
+  assert.throws(() => createCommandBus({ sendFn: () => {}, defaultMeta: 'x' }), /defaultMeta/);
+  assert.throws(() => createCommandBus({ sendFn: () => {}, defaultMeta: { nested: {} } }), /defaultMeta/);
+  assert.throws(() => createCommandBus({ sendFn: () => {} }).send('x', undefined, 1), /options/);
+});
@@ -0,0 +1,186 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CommandBusTimeoutError, createCommandBus } from '../index.js';
+import { createLinkedBuses } from '../fixtures/helpers/createLinkedBuses.js';
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('middlewares see direction and category in registration order', async () => {
+  const { busA, busB } = createLinkedBuses();
+  const seen = [];
+  const record = (label) => (envelope, info) => {
+    seen.push(`${label}:${info.direction}:${info.category}:${envelope.type}`);
+  };
+
+  busA.use({ outbound: record('a1') });
+  busA.use({ outbound: record('a2'), inbound: record('a2') });
+  busB.use({ inbound: record('b') });
+  busB.handle('get-token', () => 'token');
+
+  busA.send('notify');
+  assert.equal(await busA.request('get-token', undefined, 100), 'token');
+
+  assert.deepEqual(seen, [
+    'a1:outbound:command:notify',
+    'a2:outbound:command:notify',
+    'b:inbound:command:notify',
+    'a1:outbound:request:get-token',
+    'a2:outbound:request:get-token',
+    'b:inbound:request:get-token',
+    'a2:inbound:response:get-token-response'
+  ]);
+});
+
+test('handshake, heartbeat and cancel envelopes are categorized as control', async () => {
+  const seen = [];
+  const record = (envelope, info) => {
+    seen.push(`${info.direction}:${info.category}:${envelope.kind ?? envelope.type}`);
+  };
+  const bus = createCommandBus({ handshake: true, sendFn: () => {} });
+  bus.use({ outbound: record, inbound: record });
+
+  await delay(0);
+  bus.receive(JSON.stringify({ type: 'simplex-bus:heartbeat', kind: 'ping', payload: { seq: 1 } }));
+  const controller = new AbortController();
+  const pending = bus.request('slow', undefined, { timeout: 100, signal: controller.signal });
+  controller.abort();
+  await assert.rejects(() => pending);
+
+  assert.deepEqual(seen, [
+    'outbound:control:hello',
+    'inbound:control:ping',
+    'outbound:control:pong',
+    'outbound:request:slow',
+    'outbound:control:cancel'
+  ]);
+  bus.dispose();
+});
+
+test('middlewares can modify envelopes in both directions', async () => {
+  const { busA, busB } = createLinkedBuses();
+
+  busA.use({ outbound: (envelope) => ({ ...envelope, payload: { ...envelope.payload, locale: 'it' } }) });
+  busB.use({
+    inbound: (envelope) => {
+      envelope.payload = { ...envelope.payload, receivedAt: 1 };
+    }
+  });
+  busB.handle('echo', (payload) => payload);
+
+  assert.deepEqual(await busA.request('echo', { value: 1 }, 100), { value: 1, locale: 'it', receivedAt: 1 });
+});
+
+test('async middlewares keep outbound and inbound order', async () => {
+  const { busA, busB } = createLinkedBuses();
+  let calls = 0;
+
+  busA.use({
+    outbound: async (envelope) => {
+      calls += 1;
+      await delay(calls === 1 ? 20 : 0);
+      return envelope;
+    }
+  });
+  busA.use({
+    inbound: async (envelope) => {
+      await delay(envelope.kind === 'chunk' ? 10 : 0);
+    }
+  });
+
+  const received = [];
+  busB.on('log', (payload) => received.push(payload));
+  busB.on('tail', (_, context) => {
+    context.emit(1);
+    context.emit(2);
+    context.end();
+  });
+
+  const firstSend = busA.send('log', 'first');
+  assert.ok(firstSend instanceof Promise);
+  await Promise.all([firstSend, busA.send('log', 'second')]);
+  assert.deepEqual(received, ['first', 'second']);
+
+  const chunks = [];
+  for await (const chunk of busA.requestStream('tail', undefined, 500)) {
+    chunks.push(chunk);
+  }
+  assert.deepEqual(chunks, [1, 2]);
+});
+
+test('outbound middleware rejections surface to the caller', async () => {
+  const bus = createCommandBus({ sendFn: () => {} });
+  const unsubscribe = bus.use({
+    outbound: () => {
+      throw new Error('missing auth');
+    }
+  });
+
+  assert.throws(() => bus.send('x'), /missing auth/);
+  unsubscribe();
+
+  bus.use({
+    outbound: async () => {
+      throw new Error('async missing auth');
+    }
+  });
+
+  await assert.rejects(() => bus.send('x'), /async missing auth/);
+  await assert.rejects(() => bus.request('x', undefined, 100), /async missing auth/);
+});
+
+test('async outbound rejections of sends nobody awaits are logged', async () => {
+  const logs = [];
+  const bus = createCommandBus({ sendFn: () => {}, logger: { error: (...args) => logs.push(args) } });
+  bus.use({
+    outbound: async () => {
+      throw new Error('async missing auth');
+    }
+  });
+
+  bus.send('x');
+  await delay(0);
+
+  assert.equal(logs.length, 1);
+  assert.equal(logs[0][0], '[SimplexBus] Failed to send message for type "x"');
+  assert.match(logs[0][1].message, /async missing auth/);
+});
+
+test('inbound middleware rejections drop the message and are logged', async () => {
+  const logs = [];
+  const { busA, busB } = createLinkedBuses({}, { logger: { error: (...args) => logs.push(args) } });
+
+  busB.use({
+    inbound: (envelope) => {
+      if (envelope.type === 'admin') {
+        throw new Error('forbidden');
+      }
+    }
+  });
+  busB.handle('admin', () => 'secret');
+
+  await assert.rejects(() => busA.request('admin', undefined, 25), CommandBusTimeoutError);
+  assert.equal(logs.some((entry) => String(entry[0]).includes('Failed to process incoming message')), true);
+});
+
+test('use validates middleware shape', () => {
+  const bus = createCommandBus({ sendFn: () => {} });
+
+  assert.throws(() => bus.use(), /middleware/);
+  assert.throws(() => bus.use({}), /outbound.*inbound/);
+  assert.throws(() => bus.use({ outbound: 1 }), /middleware\.outbound/);
+  assert.throws(() => bus.use({ inbound: 1 }), /middleware\.inbound/);
+});
+
+test('middlewares must return an envelope and can be unsubscribed', () => {
+  const sent = [];
+  const bus = createCommandBus({ sendFn: (message) => sent.push(JSON.parse(message)) });
+
+  const unsubscribe = bus.use({ outbound: () => 'nope' });
+  assert.throws(() => bus.send('x'), /envelope object/);
+
+  assert.equal(unsubscribe(), true);
+  assert.equal(unsubscribe(), false);
+  bus.send('x');
+  assert.equal(sent.length, 1);
+});
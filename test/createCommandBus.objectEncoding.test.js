@@ -0,0 +1,124 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { MessageChannel } from 'node:worker_threads';
+
+import { CommandBusSerializationError, createCommandBus, createMessagePortTransport } from '../index.js';
+
+test('object encoding passes envelopes to sendFn without running the serializer', () => {
+  const sent = [];
+  const bus = createCommandBus({
+    encoding: 'object',
+    serializer: () => {
+      throw new Error('serializer must not run');
+    },
+    sendFn: (message) => sent.push(message)
+  });
+
+  bus.send('log', { at: new Date(0), tags: new Set(['a']) }, { meta: { traceId: 't-1' } });
+
+  assert.deepEqual(sent, [
+    { type: 'log', payload: { at: new Date(0), tags: new Set(['a']) }, meta: { traceId: 't-1' } }
+  ]);
+});
+
+test('object encoding round-trips structured-clone payloads over a MessageChannel', async () => {
+  const { port1, port2 } = new MessageChannel();
+  const busA = createCommandBus({ encoding: 'object', ...createMessagePortTransport({ port: port1 }) });
+  const busB = createCommandBus({ encoding: 'object', ...createMessagePortTransport({ port: port2 }) });
+
+  busB.handle('inspect', (payload) => ({
+    isDate: payload.at instanceof Date,
+    size: payload.index.size,
+    bytes: [...payload.bytes]
+  }));
+
+  const result = await busA.request(
+    'inspect',
+    { at: new Date(0), index: new Map([['a', 1]]), bytes: new Uint8Array([1, 2]) },
+    500
+  );
+
+  assert.deepEqual(result, { isDate: true, size: 1, bytes: [1, 2] });
+  busA.dispose();
+  busB.dispose();
+  port1.close();
+});
+
+test('non-cloneable payloads fail with CommandBusSerializationError', async () => {
+  const sent = [];
+  const bus = createCommandBus({ encoding: 'object', sendFn: (message) => sent.push(message) });
+
+  assert.throws(
+    () => bus.send('log', { nested: [{ callback: () => {} }] }),
+    (error) =>
+      error instanceof CommandBusSerializationError && /a function at `envelope.payload.nested\[0\].callback`/.test(error.message)
+  );
+  await assert.rejects(() => bus.request('get-profile', new WeakMap(), 100), CommandBusSerializationError);
+  assert.deepEqual(sent, []);
+});
+
+test('clone failures raised by a real MessagePort surface as CommandBusSerializationError', async () => {
+  const { port1, port2 } = new MessageChannel();
+  const other = new MessageChannel();
+  const bus = createCommandBus({ encoding: 'object', ...createMessagePortTransport({ port: port1 }) });
+
+  try {
+    assert.throws(
+      () => bus.send('log', { view: new Proxy({}, {}) }),
+      (error) =>
+        error instanceof CommandBusSerializationError &&
+        /could not structured-clone/.test(error.message) &&
+        error.cause?.name === 'DataCloneError'
+    );
+    await assert.rejects(
+      () => bus.request('attach', { port: other.port1 }, 100),
+      (error) => error instanceof CommandBusSerializationError && error.cause instanceof TypeError
+    );
+  } finally {
+    bus.dispose();
+    port1.close();
+    port2.close();
+    other.port1.close();
+  }
+});
+
+test('incoming objects are size-checked by an estimated-size walk', () => {
+  const logs = [];
+  const received = [];
+  const bus = createCommandBus({
+    encoding: 'object',
+    maxIncomingMessageBytes: 256,
+    logger: { error: (...args) => logs.push(args) },
+    sendFn: () => {}
+  });
+  bus.on('log', (payload) => received.push(payload));
+
+  const cyclic = { label: 'loop' };
+  cyclic.self = cyclic;
+  bus.receive({ type: 'log', payload: cyclic });
+  bus.receive({ type: 'log', payload: { rows: Array.from({ length: 50 }, (_, index) => `row-${index}`) } });
+  bus.receive({ type: 'log', payload: new Uint8Array(512) });
+
+  assert.equal(received.length, 1);
+  assert.equal(received[0].label, 'loop');
+  assert.equal(logs.length, 2);
+  assert.match(logs[0][0], /maxIncomingMessageBytes \(256\)/);
+});
+
+test('string encoding also size-checks incoming objects', () => {
+  const logs = [];
+  const bus = createCommandBus({
+    maxIncomingMessageBytes: 64,
+    logger: { error: (...args) => logs.push(args) },
+    sendFn: () => {}
+  });
+
+  bus.receive({ type: 'log', payload: 'x'.repeat(100) });
+
+  assert.equal(logs.length, 1);
+  assert.match(logs[0][0], /maxIncomingMessageBytes/);
+});
+
+test('encoding is validated', () => {
+  assert.throws(() => createCommandBus({ sendFn: () => {}, encoding: 'base64' }), /encoding/);
+});
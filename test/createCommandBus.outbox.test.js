@@ -0,0 +1,149 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  CommandBusAbortedError,
+  CommandBusDisposedError,
+  CommandBusExpiredError,
+  CommandBusLimitError,
+  CommandBusTimeoutError,
+  createCommandBus
+} from '../index.js';
+import { createLinkedBuses } from '../fixtures/helpers/createLinkedBuses.js';
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('sends and requests are queued until markReady and flushed in order', async () => {
+  const { busA, busB } = createLinkedBuses({ outbox: true }, {});
+  const received = [];
+
+  busB.on('log', (payload) => received.push(payload));
+  busB.handle('get-profile', () => {
+    received.push('get-profile');
+    return { id: 'u-42' };
+  });
+
+  busA.send('log', 'first');
+  const pending = busA.request('get-profile', undefined, 100);
+  busA.send('log', 'second');
+  assert.deepEqual(received, []);
+
+  busA.markReady();
+
+  assert.deepEqual(received, ['first', 'get-profile', 'second']);
+  assert.deepEqual(await pending, { id: 'u-42' });
+});
+
+test('a completed handshake flushes the outbox', async () => {
+  let busB;
+  const busA = createCommandBus({
+    handshake: true,
+    outbox: true,
+    sendFn: (message) => busB?.receive(message)
+  });
+
+  const pending = busA.request('get-profile', undefined, 200);
+  await delay(0);
+
+  busB = createCommandBus({ handshake: true, sendFn: (message) => busA.receive(message) });
+  busB.handle('get-profile', () => 'profile');
+
+  assert.equal(await pending, 'profile');
+});
+
+test('queued messages expire after outboxTtl', async () => {
+  const logs = [];
+  const sent = [];
+  const bus = createCommandBus({
+    outbox: true,
+    outboxTtl: 10,
+    logger: { error: (...args) => logs.push(args) },
+    sendFn: (message) => sent.push(message)
+  });
+
+  const queuedSend = bus.send('log', 'lost');
+  const pending = bus.request('get-profile', undefined, 1000);
+
+  await assert.rejects(() => queuedSend, CommandBusExpiredError);
+  await assert.rejects(
+    () => pending,
+    (error) => error instanceof CommandBusExpiredError && error.type === 'get-profile' && error.ttl === 10
+  );
+  assert.equal(logs.length, 2);
+
+  bus.markReady();
+  assert.deepEqual(sent, []);
+});
+
+test('the outbox is bounded by maxOutboxMessages', async () => {
+  const bus = createCommandBus({ outbox: true, maxOutboxMessages: 1, sendFn: () => {} });
+
+  bus.send('log', 1);
+  assert.throws(() => bus.send('log', 2), CommandBusLimitError);
+  await assert.rejects(() => bus.request('get-profile', undefined, 100), CommandBusLimitError);
+});
+
+test('request timeouts count from enqueue by default and from flush when configured', async () => {
+  const createBus = (requestTimeoutFrom) => {
+    const { busA, busB } = createLinkedBuses({ outbox: true, requestTimeoutFrom }, {});
+    busB.handle('get-profile', () => 'profile');
+    return busA;
+  };
+
+  const fromEnqueue = createBus('enqueue');
+  const fromFlush = createBus('flush');
+  const enqueueOutcome = assert.rejects(fromEnqueue.request('get-profile', undefined, 20), CommandBusTimeoutError);
+  const flushPending = fromFlush.request('get-profile', undefined, 20);
+
+  await delay(40);
+  fromEnqueue.markReady();
+  fromFlush.markReady();
+
+  await enqueueOutcome;
+  assert.equal(await flushPending, 'profile');
+});
+
+test('requests aborted while queued are never sent and send no cancel', async () => {
+  const sent = [];
+  const bus = createCommandBus({ outbox: true, sendFn: (message) => sent.push(message) });
+  const controller = new AbortController();
+
+  const pending = bus.request('get-profile', undefined, { timeout: 100, signal: controller.signal });
+  controller.abort();
+  await assert.rejects(() => pending, CommandBusAbortedError);
+
+  bus.markReady();
+  assert.deepEqual(sent, []);
+});
+
+test('responses and sends after markReady bypass the outbox', () => {
+  const sent = [];
+  const bus = createCommandBus({ outbox: true, sendFn: (message) => sent.push(JSON.parse(message)) });
+
+  bus.handle('ping', () => 'pong');
+  bus.receive(JSON.stringify({ type: 'ping', id: 'req-1', nonce: 'abc' }));
+  assert.equal(sent[0].type, 'ping-response');
+
+  bus.markReady();
+  bus.send('log', 'direct');
+  assert.equal(sent[1].payload, 'direct');
+});
+
+test('dispose rejects queued messages', async () => {
+  const bus = createCommandBus({ outbox: true, sendFn: () => {} });
+  const queuedSend = bus.send('log', 'lost');
+
+  bus.dispose();
+
+  await assert.rejects(() => queuedSend, CommandBusDisposedError);
+  assert.throws(() => bus.markReady(), CommandBusDisposedError);
+});
+
+test('outbox options are validated', () => {
+  const sendFn = () => {};
+
+  assert.throws(() => createCommandBus({ sendFn, outbox: 'yes' }), /outbox/);
+  assert.throws(() => createCommandBus({ sendFn, maxOutboxMessages: 0 }), /maxOutboxMessages/);
+  assert.throws(() => createCommandBus({ sendFn, outboxTtl: -1 }), /outboxTtl/);
+  assert.throws(() => createCommandBus({ sendFn, requestTimeoutFrom: 'send' }), /requestTimeoutFrom/);
+});
@@ -6,6 +6,7 @@ import {
   CommandBusSerializationError,
   CommandBusRemoteError,
   CommandBusTimeoutError,
+  CommandBusUnhandledError,
   createCommandBus
 } from '../index.js';
 import { createLinkedBuses } from '../fixtures/helpers/createLinkedBuses.js';
@@ -200,3 +201,165 @@ test('request rejects when serializer fails during envelope dispatch', async ()
 
   await assert.rejects(() => bus.request('serialize-fail', { ok: true }, 100), CommandBusSerializationError);
 });
+
+test('progress notifications reach onProgress before the response resolves', async () => {
+  const { busA, busB } = createLinkedBuses();
+
+  busB.on('upload', async (_, context) => {
+    context.progress({ percent: 50 });
+    await Promise.resolve();
+    context.progress({ percent: 100 });
+    context.respond({ ok: true });
+  });
+
+  const updates = [];
+  const response = await busA.request('upload', undefined, {
+    timeout: 100,
+    onProgress: (data) => updates.push(data)
+  });
+
+  assert.deepEqual(updates, [{ percent: 50 }, { percent: 100 }]);
+  assert.deepEqual(response, { ok: true });
+});
+
+test('keepAlive progress extends the request deadline', async () => {
+  const { busA, busB } = createLinkedBuses();
+
+  busB.on('pick-photo', async (_, context) => {
+    for (let step = 0; step < 3; step += 1) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      context.progress({ step });
+    }
+    context.respond('photo.jpg');
+  });
+
+  const response = await busA.request('pick-photo', undefined, { timeout: 40, keepAlive: true });
+  assert.equal(response, 'photo.jpg');
+});
+
+test('progress without keepAlive does not extend the request deadline', async () => {
+  const { busA, busB } = createLinkedBuses();
+
+  busB.on('pick-photo', async (_, context) => {
+    for (let step = 0; step < 3; step += 1) {
+      await new Promise((resolve) => setTimeout(resolve, 15));
+      context.progress({ step });
+    }
+  });
+
+  await assert.rejects(() => busA.request('pick-photo', undefined, { timeout: 30 }), CommandBusTimeoutError);
+});
+
+test('failing onProgress callbacks are logged without settling the request', async () => {
+  const logs = [];
+  const { busA, busB } = createLinkedBuses({ logger: { error: (...args) => logs.push(args) } });
+
+  busB.on('upload', (_, context) => {
+    context.progress(1);
+    context.respond('done');
+  });
+
+  const response = await busA.request('upload', undefined, {
+    timeout: 100,
+    onProgress: () => {
+      throw new Error('ui crashed');
+    }
+  });
+
+  assert.equal(response, 'done');
+  assert.equal(logs.some((entry) => String(entry[0]).includes('Progress callback failed')), true);
+});
+
+test('handle() responds with the resolved value of the responder', async () => {
+  const { busA, busB } = createLinkedBuses();
+
+  busB.handle('get-profile', async ({ id }) => ({ id, name: 'Ada' }));
+  busB.handle('get-version', () => '1.2.3');
+
+  assert.deepEqual(await busA.request('get-profile', { id: 'u-1' }, 100), { id: 'u-1', name: 'Ada' });
+  assert.equal(await busA.request('get-version', undefined, 100), '1.2.3');
+});
+
+test('handle() maps thrown errors to error responses', async () => {
+  const { busA, busB } = createLinkedBuses({}, { logger: { error: () => {} } });
+
+  busB.handle('save', async () => {
+    throw new Error('disk full');
+  });
+
+  await assert.rejects(
+    () => busA.request('save', undefined, 100),
+    (error) => error instanceof CommandBusRemoteError && error.payload.message === 'disk full'
+  );
+});
+
+test('handle() does not auto-respond after the responder settled the request manually', async () => {
+  const sent = [];
+  const bus = createCommandBus({
+    sendFn: (message) => sent.push(JSON.parse(message))
+  });
+
+  bus.handle('get-token', (_, context) => {
+    context.respond('manual');
+    return 'ignored';
+  });
+
+  bus.receive(JSON.stringify({ type: 'get-token', id: 'req-1', nonce: 'abc' }));
+  assert.deepEqual(
+    sent.map((message) => message.payload),
+    ['manual']
+  );
+});
+
+test('requests without a handler fail fast with CommandBusUnhandledError', async () => {
+  const { busA } = createLinkedBuses();
+
+  await assert.rejects(
+    () => busA.request('missing-handler', undefined, 1000),
+    (error) =>
+      error instanceof CommandBusUnhandledError &&
+      error.code === 'NO_HANDLER' &&
+      error.type === 'missing-handler'
+  );
+});
+
+test('requests for disallowed types fail fast with CommandBusUnhandledError', async () => {
+  const { busA } = createLinkedBuses({}, { allowedTypes: ['other'] });
+
+  await assert.rejects(
+    () => busA.requestStream('blocked', undefined, 1000).next(),
+    (error) => error instanceof CommandBusUnhandledError && error.code === 'TYPE_NOT_ALLOWED'
+  );
+});
+
+test('silent unhandledRequestMode keeps dropping unhandled requests', async () => {
+  const { busA } = createLinkedBuses({}, { unhandledRequestMode: 'silent' });
+
+  await assert.rejects(() => busA.request('missing-handler', undefined, 25), CommandBusTimeoutError);
+});
+
+test('fault replies are only sent for unanswered requests', () => {
+  const sent = [];
+  const bus = createCommandBus({
+    allowedTypes: ['known'],
+    sendFn: (message) => sent.push(JSON.parse(message))
+  });
+
+  bus.receive(JSON.stringify({ type: 'missing', payload: 1 }));
+  bus.receive(JSON.stringify({ type: 'late-response', id: 'req-1', nonce: 'abc', isError: false }));
+  bus.receive(JSON.stringify({ type: 'legacy-response', id: 'req-2', payload: 1 }));
+  bus.receive(JSON.stringify({ type: 'missing', id: 'req-3', isError: true, kind: 'fault' }));
+  assert.equal(sent.length, 0);
+
+  bus.receive(JSON.stringify({ type: 'known', id: 'req-4', nonce: 'abc' }));
+  assert.deepEqual(sent, [
+    {
+      type: 'known-response',
+      payload: { code: 'NO_HANDLER', message: 'No handler registered for type "known".' },
+      id: 'req-4',
+      nonce: 'abc',
+      isError: true,
+      kind: 'fault'
+    }
+  ]);
+});
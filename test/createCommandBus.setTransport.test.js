@@ -0,0 +1,124 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CommandBusDisposedError, CommandBusTimeoutError, createCommandBus } from '../index.js';
+
+const createFakeTransport = () => {
+  const transport = {
+    sent: [],
+    handler: undefined,
+    unsubscribed: false,
+    sendFn: (message) => transport.sent.push(JSON.parse(message)),
+    onReceive: (handler) => {
+      transport.handler = handler;
+      return () => {
+        transport.handler = undefined;
+        transport.unsubscribed = true;
+      };
+    },
+    deliver: (message) => transport.handler?.(JSON.stringify(message))
+  };
+  return transport;
+};
+
+test('setTransport swaps sendFn and onReceive while keeping registrations', () => {
+  const first = createFakeTransport();
+  const second = createFakeTransport();
+  const received = [];
+  const bus = createCommandBus({ sendFn: first.sendFn, onReceive: first.onReceive });
+
+  bus.on('log', (payload) => received.push(payload));
+  bus.setTransport({ sendFn: second.sendFn, onReceive: second.onReceive });
+
+  assert.equal(first.unsubscribed, true);
+  first.deliver({ type: 'log', payload: 'stale' });
+  second.deliver({ type: 'log', payload: 'fresh' });
+  bus.send('log', 'out');
+
+  assert.deepEqual(received, ['fresh']);
+  assert.equal(first.sent.length, 0);
+  assert.equal(second.sent[0].payload, 'out');
+  bus.dispose();
+});
+
+test('pending requests survive the switch and resolve through the new transport', async () => {
+  const first = createFakeTransport();
+  const second = createFakeTransport();
+  const bus = createCommandBus({ sendFn: first.sendFn, onReceive: first.onReceive });
+
+  const pending = bus.request('get-profile', undefined, 500);
+  const [request] = first.sent;
+  bus.setTransport({ sendFn: second.sendFn, onReceive: second.onReceive });
+
+  assert.equal(second.sent.length, 0);
+  second.deliver({ type: 'get-profile-response', id: request.id, nonce: request.nonce, payload: 'profile' });
+  assert.equal(await pending, 'profile');
+  bus.dispose();
+});
+
+test('resendPending replays unanswered requests and the switch emits transport events', async () => {
+  const first = createFakeTransport();
+  const second = createFakeTransport();
+  const events = [];
+  const bus = createCommandBus({ sendFn: first.sendFn, onReceive: first.onReceive });
+
+  bus.onPeerEvent('transport-changing', () => events.push(['changing', first.unsubscribed]));
+  bus.onPeerEvent('transport-changed', (details) => events.push(['changed', details.resent]));
+
+  const pending = bus.request('get-profile', undefined, 500);
+  bus.setTransport({ sendFn: second.sendFn, onReceive: second.onReceive }, { resendPending: true });
+
+  assert.deepEqual(events, [
+    ['changing', false],
+    ['changed', 1]
+  ]);
+  assert.deepEqual(second.sent, first.sent);
+
+  const [request] = second.sent;
+  second.deliver({ type: 'get-profile-response', id: request.id, nonce: request.nonce, payload: 'again' });
+  assert.equal(await pending, 'again');
+  bus.dispose();
+});
+
+test('setTransport repeats the handshake hello on the new transport', async () => {
+  const first = createFakeTransport();
+  const second = createFakeTransport();
+  const bus = createCommandBus({ handshake: true, sendFn: first.sendFn, onReceive: first.onReceive });
+
+  await Promise.resolve();
+  bus.setTransport(second);
+
+  assert.equal(second.sent[0].type, 'simplex-bus:hello');
+  assert.equal(second.sent[0].payload.ack, false);
+  bus.dispose();
+});
+
+test('the auto trust default follows the transport passed to setTransport', async () => {
+  const sent = [];
+  const crossContext = createFakeTransport();
+  const bus = createCommandBus({ sendFn: (message) => sent.push(JSON.parse(message)) });
+
+  bus.setTransport(crossContext);
+  const strict = bus.request('get-profile', undefined, 30);
+  const [strictRequest] = crossContext.sent;
+  crossContext.deliver({ type: 'get-profile-response', id: strictRequest.id, payload: 'no nonce' });
+  await assert.rejects(strict, CommandBusTimeoutError);
+
+  bus.setTransport({ sendFn: (message) => sent.push(JSON.parse(message)) });
+  const permissive = bus.request('get-profile', undefined, 500);
+  bus.receive(JSON.stringify({ type: 'get-profile-response', id: sent[0].id, payload: 'no nonce' }));
+  assert.equal(await permissive, 'no nonce');
+  bus.dispose();
+});
+
+test('setTransport validates its arguments and is unavailable after dispose', () => {
+  const bus = createCommandBus({ sendFn: () => {} });
+
+  assert.throws(() => bus.setTransport(), /transport/);
+  assert.throws(() => bus.setTransport({}), /sendFn/);
+  assert.throws(() => bus.setTransport({ sendFn: () => {}, onReceive: 1 }), /onReceive/);
+  assert.throws(() => bus.setTransport({ sendFn: () => {} }, { resendPending: 'yes' }), /resendPending/);
+
+  bus.dispose();
+  assert.throws(() => bus.setTransport({ sendFn: () => {} }), CommandBusDisposedError);
+});
@@ -0,0 +1,139 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  CommandBusAbortedError,
+  CommandBusLimitError,
+  CommandBusRemoteError,
+  CommandBusTimeoutError,
+  CommandBusValidationError,
+  createCommandBus
+} from '../index.js';
+import { createLinkedBuses } from '../fixtures/helpers/createLinkedBuses.js';
+
+const collect = async (iterator) => {
+  const chunks = [];
+  for await (const chunk of iterator) {
+    chunks.push(chunk);
+  }
+  return chunks;
+};
+
+test('requestStream yields emitted chunks until the handler ends the stream', async () => {
+  const { busA, busB } = createLinkedBuses();
+
+  busB.on('list-files', async (payload, context) => {
+    for (const name of payload.names) {
+      await Promise.resolve();
+      context.emit({ name });
+    }
+    context.end();
+  });
+
+  const chunks = await collect(busA.requestStream('list-files', { names: ['a.txt', 'b.txt'] }, 100));
+  assert.deepEqual(chunks, [{ name: 'a.txt' }, { name: 'b.txt' }]);
+});
+
+test('requestStream treats a plain respond() as a single final chunk', async () => {
+  const { busA, busB } = createLinkedBuses();
+
+  busB.on('search', (_, context) => {
+    context.respond({ hits: 0 });
+  });
+
+  const chunks = await collect(busA.requestStream('search', undefined, 100));
+  assert.deepEqual(chunks, [{ hits: 0 }]);
+});
+
+test('requestStream yields buffered chunks before failing with remote errors', async () => {
+  const { busA, busB } = createLinkedBuses();
+
+  busB.on('search', (_, context) => {
+    context.emit(1);
+    context.respondError({ code: 'E_INDEX' });
+  });
+
+  const received = [];
+  await assert.rejects(
+    async () => {
+      for await (const chunk of busA.requestStream('search', undefined, 100)) {
+        received.push(chunk);
+      }
+    },
+    (error) => error instanceof CommandBusRemoteError && error.payload.code === 'E_INDEX'
+  );
+  assert.deepEqual(received, [1]);
+});
+
+test('requestStream timeout applies to the whole stream', async () => {
+  const { busA, busB } = createLinkedBuses();
+
+  busB.on('tail', (_, context) => {
+    context.emit('first');
+  });
+
+  const iterator = busA.requestStream('tail', undefined, 25);
+  assert.deepEqual(await iterator.next(), { value: 'first', done: false });
+  await assert.rejects(() => iterator.next(), CommandBusTimeoutError);
+  assert.deepEqual(await iterator.next(), { value: undefined, done: true });
+});
+
+test('requestStream supports AbortSignal', async () => {
+  const bus = createCommandBus({ sendFn: () => {} });
+  const controller = new AbortController();
+
+  const iterator = bus.requestStream('tail', undefined, { timeout: 1000, signal: controller.signal });
+  const next = iterator.next();
+  controller.abort();
+
+  await assert.rejects(() => next, CommandBusAbortedError);
+});
+
+test('requestStream counts towards maxPendingRequests until it settles or is returned', async () => {
+  const bus = createCommandBus({ sendFn: () => {}, maxPendingRequests: 1 });
+
+  const iterator = bus.requestStream('tail', undefined, 1000);
+  assert.throws(() => bus.request('other', undefined, 1000), CommandBusLimitError);
+
+  assert.deepEqual(await iterator.return(), { value: undefined, done: true });
+  const pending = bus.request('other', undefined, 0);
+  await assert.rejects(() => pending, CommandBusTimeoutError);
+});
+
+test('emit and end return false outside of stream requests', async () => {
+  const { busA, busB } = createLinkedBuses();
+  const results = [];
+
+  busB.on('plain', (_, context) => {
+    results.push(context.emit('chunk'), context.end());
+    context.respond('done');
+  });
+
+  assert.equal(await busA.request('plain', undefined, 100), 'done');
+  assert.deepEqual(results, [false, false]);
+});
+
+test('end closes the stream for further emits', async () => {
+  const { busA, busB } = createLinkedBuses();
+  const results = [];
+
+  busB.on('tail', (_, context) => {
+    results.push(context.emit(1), context.end(), context.emit(2), context.end());
+  });
+
+  assert.deepEqual(await collect(busA.requestStream('tail', undefined, 100)), [1]);
+  assert.deepEqual(results, [true, true, false, false]);
+});
+
+test('stream chunks are validated with the response validator', async () => {
+  const { busA, busB } = createLinkedBuses({
+    validators: { 'numbers-response': (payload) => typeof payload === 'number' }
+  });
+
+  busB.on('numbers', (_, context) => {
+    context.emit(1);
+    context.emit('two');
+  });
+
+  await assert.rejects(() => collect(busA.requestStream('numbers', undefined, 100)), CommandBusValidationError);
+});
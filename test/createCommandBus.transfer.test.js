@@ -0,0 +1,110 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { MessageChannel } from 'node:worker_threads';
+
+import { CommandBusValidationError, createCommandBus, createMessagePortTransport } from '../index.js';
+
+const createPortPair = () => {
+  const { port1, port2 } = new MessageChannel();
+  const sender = createCommandBus({ encoding: 'object', ...createMessagePortTransport({ port: port1 }) });
+  const receiver = createCommandBus({ encoding: 'object', ...createMessagePortTransport({ port: port2 }) });
+
+  return {
+    sender,
+    receiver,
+    close: () => {
+      sender.dispose();
+      receiver.dispose();
+      port1.close();
+    }
+  };
+};
+
+test('send transfers listed buffers and detaches them on the sender side', async () => {
+  const { sender, receiver, close } = createPortPair();
+  const frame = new Uint8Array([1, 2, 3, 4]);
+  const received = new Promise((resolve) => receiver.on('frame', resolve));
+
+  sender.send('frame', { pixels: frame }, { transfer: [frame.buffer] });
+
+  assert.equal(frame.byteLength, 0);
+  assert.deepEqual([...(await received).pixels], [1, 2, 3, 4]);
+  close();
+});
+
+test('request and respond transfer buffers in both directions', async () => {
+  const { sender, receiver, close } = createPortPair();
+  let responseBuffer;
+
+  receiver.on('render', (payload, context) => {
+    responseBuffer = new ArrayBuffer(payload.byteLength * 2);
+    context.respond(responseBuffer, { transfer: [responseBuffer] });
+  });
+
+  const document = new ArrayBuffer(8);
+  const pending = sender.request('render', document, { timeout: 500, transfer: [document] });
+
+  assert.equal(document.byteLength, 0);
+  const rendered = await pending;
+  assert.equal(rendered.byteLength, 16);
+  assert.equal(responseBuffer.byteLength, 0);
+  close();
+});
+
+test('stream chunks can transfer buffers through context.emit', async () => {
+  const { sender, receiver, close } = createPortPair();
+  const emitted = [];
+
+  receiver.on('camera', (_payload, context) => {
+    for (let index = 0; index < 2; index += 1) {
+      const chunk = new Uint8Array([index]).buffer;
+      emitted.push(chunk);
+      context.emit(chunk, { transfer: [chunk] });
+    }
+    context.end();
+  });
+
+  const chunks = [];
+  for await (const chunk of sender.requestStream('camera', undefined, 500)) {
+    chunks.push(new Uint8Array(chunk)[0]);
+  }
+
+  assert.deepEqual(chunks, [0, 1]);
+  assert.deepEqual(emitted.map((chunk) => chunk.byteLength), [0, 0]);
+  close();
+});
+
+test('the transfer list reaches sendFn only when given and requires object encoding', async () => {
+  const calls = [];
+  const bus = createCommandBus({ encoding: 'object', sendFn: (...args) => calls.push(args) });
+  const buffer = new ArrayBuffer(4);
+
+  bus.send('log', 'plain');
+  bus.send('log', buffer, { transfer: [buffer] });
+
+  assert.equal(calls[0].length, 1);
+  assert.deepEqual(calls[1][1], { transfer: [buffer] });
+  assert.throws(() => bus.send('log', buffer, { transfer: buffer }), CommandBusValidationError);
+
+  const stringBus = createCommandBus({ sendFn: () => {} });
+  assert.throws(() => stringBus.send('log', 'x', { transfer: [] }), /encoding: "object"/);
+  await assert.rejects(
+    () => stringBus.request('get-profile', 'x', { timeout: 100, transfer: [] }),
+    /encoding: "object"/
+  );
+});
+
+test('requests sent with a transfer list are not resent', () => {
+  const sent = [];
+  const bus = createCommandBus({ encoding: 'object', sendFn: (message) => sent.push(message) });
+  const buffer = new ArrayBuffer(4);
+
+  const transferred = bus.request('upload', buffer, { timeout: 100, transfer: [buffer] });
+  const copied = bus.request('upload', 'copy', 100);
+  bus.setTransport({ sendFn: (message) => sent.push(message) }, { resendPending: true });
+
+  assert.deepEqual(sent.map((message) => message.payload), [buffer, 'copy', 'copy']);
+  bus.dispose();
+  transferred.catch(() => {});
+  copied.catch(() => {});
+});
@@ -107,6 +107,49 @@ test('transport integration: auto trust mode accepts trusted origin/source respo
   assert.deepEqual(response, { ok: true, payload: { value: 42 } });
 });
 
+test('transport integration: transport metadata reaches handlers, middleware and trust guard unserialized', async () => {
+  const { windowA, windowB } = createLinkedWindows();
+  const trustedSenders = [];
+  const middlewareSenders = [];
+  const rawMessages = [];
+
+  const createBus = (selfWindow, targetWindow) =>
+    createCommandBus({
+      sendFn: (message) => {
+        rawMessages.push(message);
+        selfWindow.postMessageTo(targetWindow, message);
+      },
+      onReceive: (handler) => {
+        const listener = (event) => handler(event.data, { origin: event.origin, source: event.source });
+        selfWindow.addEventListener('message', listener);
+        return () => selfWindow.removeEventListener('message', listener);
+      },
+      isTrustedResponse: ({ sender }) => {
+        trustedSenders.push(sender);
+        return sender?.origin === 'https://b.example' && sender.source === windowB;
+      }
+    });
+
+  const busA = createBus(windowA, windowB);
+  const busB = createBus(windowB, windowA);
+
+  busB.use({
+    inbound: (_envelope, info) => {
+      middlewareSenders.push(info.sender.origin);
+    }
+  });
+  busB.handle('whoami', (_, context) => context.sender.origin);
+
+  assert.equal(await busA.request('whoami', undefined, 100), 'https://a.example');
+  assert.deepEqual(middlewareSenders, ['https://a.example']);
+  assert.equal(trustedSenders.length, 1);
+  assert.equal(trustedSenders[0].source, windowB);
+  const envelopeKeys = new Set(['type', 'payload', 'id', 'nonce', 'isError']);
+  for (const message of rawMessages) {
+    assert.deepEqual(Object.keys(JSON.parse(message)).filter((key) => !envelopeKeys.has(key)), []);
+  }
+});
+
 test('transport integration: strict mode rejects spoofed response without nonce', async () => {
   let requestEnvelope;
   const controlledBus = createCommandBus({
@@ -146,3 +189,29 @@ test('transport integration: permissive mode accepts legacy response without non
   const response = await bus.request('legacy', undefined, 50);
   assert.deepEqual(response, { ok: true });
 });
+
+test('transport integration: onReconnect replays unanswered requests but not streams', async () => {
+  const sent = [];
+  let reconnect;
+  const bus = createCommandBus({
+    sendFn: (message) => sent.push(message),
+    onReceive: () => {},
+    onReconnect: (handler) => {
+      reconnect = handler;
+    }
+  });
+
+  const pending = bus.request('get-profile', undefined, 50);
+  bus.requestStream('search', undefined, 50);
+  bus.send('log', 'once');
+  reconnect();
+
+  assert.equal(sent.length, 4);
+  assert.equal(sent[3], sent[0]);
+  await assert.rejects(() => pending, CommandBusTimeoutError);
+
+  const sentBeforeReconnect = sent.length;
+  reconnect();
+  assert.equal(sent.length, sentBeforeReconnect);
+  bus.dispose();
+});
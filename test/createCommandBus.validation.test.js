@@ -9,7 +9,8 @@ import {
   CommandBusSerializationError,
   CommandBusValidationError,
   CommandBusDisposedError,
-  createCommandBus
+  createCommandBus,
+  createSchemaValidators
 } from '../index.js';
 import { createLinkedBuses } from '../fixtures/helpers/createLinkedBuses.js';
 
@@ -45,6 +46,10 @@ test('constructor validates required config types', () => {
   assert.throws(() => createCommandBus({ sendFn: () => {}, maxPendingRequests: 0 }), /maxPendingRequests/);
   assert.throws(() => createCommandBus({ sendFn: () => {}, responseTrustMode: 'unknown' }), /responseTrustMode/);
   assert.throws(() => createCommandBus({ sendFn: () => {}, isTrustedResponse: 'nope' }), /isTrustedResponse/);
+  assert.throws(() => createCommandBus({ sendFn: () => {}, unhandledRequestMode: 'loud' }), /unhandledRequestMode/);
+  assert.throws(() => createCommandBus({ sendFn: () => {}, errorClasses: null }), /errorClasses/);
+  assert.throws(() => createCommandBus({ sendFn: () => {}, errorClasses: { E: class {} } }), /errorClasses\.E/);
+  assert.throws(() => createCommandBus({ sendFn: () => {}, exposeErrorStack: 'yes' }), /exposeErrorStack/);
 });
 
 test('on/once/off validate arguments', () => {
@@ -52,6 +57,7 @@ test('on/once/off validate arguments', () => {
   assert.throws(() => bus.on('', () => {}), /type/);
   assert.throws(() => bus.on('x', 'nope'), /handler/);
   assert.throws(() => bus.once('x', 'nope'), /handler/);
+  assert.throws(() => bus.handle('x', 'nope'), /handler/);
   assert.throws(() => bus.off(''), /type/);
   assert.equal(bus.off('missing'), false);
 });
@@ -68,6 +74,8 @@ test('request validates type, timeout and signal', async () => {
   assert.throws(() => bus.request('', undefined, 1), /type/);
   assert.throws(() => bus.request('x', undefined, 'not-valid-options'), /number or an object/);
   assert.throws(() => bus.request('x', undefined, { signal: {} }), /AbortSignal/);
+  assert.throws(() => bus.request('x', undefined, { onProgress: 'nope' }), /onProgress/);
+  assert.throws(() => bus.request('x', undefined, { keepAlive: 'yes' }), /keepAlive/);
 });
 
 test('invalid incoming message is reported to logger', () => {
@@ -208,6 +216,7 @@ test('handler registration fails when type is not in allowedTypes', () => {
   });
 
   assert.throws(() => bus.on('blocked', () => {}), CommandBusValidationError);
+  assert.throws(() => bus.handle('blocked', () => {}), CommandBusValidationError);
 });
 
 test('context.respond returns false when incoming message has no request id', () => {
@@ -377,3 +386,88 @@ test('handler error for non-request message is logged without sending an error r
   assert.equal(logs.length, 1);
   assert.equal(String(logs[0][0]).includes('Handler failed for type "explode"'), true);
 });
+
+test('incoming request validation failures are returned to the requester', async () => {
+  const compile = () => {
+    const validator = (payload) => typeof payload?.sessionId === 'string';
+    validator.errors = [
+      {
+        instancePath: '',
+        schemaPath: '#/required',
+        keyword: 'required',
+        params: { missingProperty: 'sessionId' },
+        message: "must have required property 'sessionId'",
+        data: { secret: 'not echoed' }
+      }
+    ];
+    return validator;
+  };
+  const { busA, busB } = createLinkedBuses(
+    {},
+    {
+      logger: { error: () => {} },
+      validators: createSchemaValidators({
+        schemaMap: { 'get-token': { request: { type: 'object' } } },
+        compile
+      })
+    }
+  );
+  busB.handle('get-token', () => 'token');
+
+  await assert.rejects(
+    () => busA.request('get-token', { secret: 'x' }, 1000),
+    (error) => {
+      assert.ok(error instanceof CommandBusValidationError);
+      assert.equal(error.remote, true);
+      assert.deepEqual(error.details, {
+        type: 'get-token',
+        channel: 'request',
+        errors: [
+          {
+            instancePath: '',
+            schemaPath: '#/required',
+            keyword: 'required',
+            params: { missingProperty: 'sessionId' },
+            message: "must have required property 'sessionId'"
+          }
+        ]
+      });
+      return true;
+    }
+  );
+});
+
+test('plain validator failures are returned with empty schema errors', async () => {
+  const { busA, busB } = createLinkedBuses(
+    {},
+    { logger: { error: () => {} }, validators: { ping: () => false } }
+  );
+  busB.handle('ping', () => 'pong');
+
+  await assert.rejects(
+    () => busA.request('ping', 1, 1000),
+    (error) =>
+      error instanceof CommandBusValidationError &&
+      error.remote === true &&
+      error.details.errors.length === 0
+  );
+});
+
+test('local validation errors are not flagged as remote', () => {
+  const bus = createCommandBus({ sendFn: () => {}, validators: { ping: () => false } });
+
+  assert.throws(
+    () => bus.send('ping', 1),
+    (error) => error instanceof CommandBusValidationError && error.remote === false
+  );
+});
+
+test('silent unhandledRequestMode drops invalid requests without replying', async () => {
+  const { busA, busB } = createLinkedBuses(
+    {},
+    { logger: { error: () => {} }, validators: { ping: () => false }, unhandledRequestMode: 'silent' }
+  );
+  busB.handle('ping', () => 'pong');
+
+  await assert.rejects(() => busA.request('ping', 1, 25), CommandBusTimeoutError);
+});
@@ -0,0 +1,23 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createInboundRequestsStore } from '../src/internal/inboundRequests.js';
+
+test('tracking beyond maxEntries releases the oldest inbound request', () => {
+  const inboundRequests = createInboundRequestsStore({ maxEntries: 1 });
+  const first = inboundRequests.track({ type: 'x', id: 'a', nonce: 'n' });
+  inboundRequests.track({ type: 'x', id: 'b', nonce: 'n' });
+
+  assert.equal(inboundRequests.size(), 1);
+  assert.equal(inboundRequests.cancel({ type: 'x', id: 'a', nonce: 'n' }), false);
+  assert.equal(first.signal.aborted, false);
+  assert.equal(inboundRequests.cancel({ type: 'x', id: 'b', nonce: 'n' }), true);
+});
+
+test('messages without id are not tracked', () => {
+  const inboundRequests = createInboundRequestsStore({ maxEntries: 1 });
+  const controller = inboundRequests.track({ type: 'x' });
+
+  assert.equal(controller.signal.aborted, false);
+  assert.equal(inboundRequests.size(), 0);
+});
@@ -6,6 +6,19 @@ import * as PublicApi from '../index.js';
 const expectedExports = [
   'createCommandBus',
   'createSchemaValidators',
+  'createRichCodec',
+  'createBinaryCodec',
+  'createWindowTransport',
+  'createMessagePortTransport',
+  'createWorkerTransport',
+  'createBroadcastChannelTransport',
+  'createChildProcessTransport',
+  'createStdioTransport',
+  'createSocketTransport',
+  'attachSocketServer',
+  'createWebSocketTransport',
+  'encodeLengthPrefixedFrame',
+  'createLengthPrefixedDecoder',
   'CommandBusError',
   'CommandBusDisposedError',
   'CommandBusValidationError',
@@ -14,6 +27,11 @@ const expectedExports = [
   'CommandBusTimeoutError',
   'CommandBusAbortedError',
   'CommandBusRemoteError',
+  'CommandBusUnhandledError',
+  'CommandBusHandshakeError',
+  'CommandBusExpiredError',
+  'CommandBusDisconnectedError',
+  'CommandBusTransportClosedError',
   'CommandBusLimitError'
 ];
 
@@ -26,10 +44,15 @@ test('public exports contract is stable', () => {
 test('createCommandBus returns stable public method surface', () => {
   const bus = PublicApi.createCommandBus({ sendFn: () => {} });
 
-  const methodNames = ['send', 'request', 'receive', 'on', 'once', 'off', 'dispose'];
+  const methodNames = ['send', 'request', 'requestStream', 'receive', 'on', 'once', 'handle', 'off', 'use', 'markReady', 'setTransport', 'onPeerEvent', 'dispose'];
   for (const methodName of methodNames) {
     assert.equal(typeof bus[methodName], 'function', `Missing method ${methodName}`);
   }
+
+  assert.ok(bus.ready instanceof Promise);
+  assert.equal('peer' in bus, true);
+  assert.equal(bus.peerStatus, 'unknown');
+  assert.equal('rtt' in bus, true);
 });
 
 test('error classes extend Error and keep names', () => {
@@ -42,6 +65,11 @@ test('error classes extend Error and keep names', () => {
     'CommandBusTimeoutError',
     'CommandBusAbortedError',
     'CommandBusRemoteError',
+    'CommandBusUnhandledError',
+    'CommandBusHandshakeError',
+    'CommandBusExpiredError',
+    'CommandBusDisconnectedError',
+    'CommandBusTransportClosedError',
     'CommandBusLimitError'
   ];
 
@@ -54,7 +82,15 @@ test('error classes extend Error and keep names', () => {
           ? new ErrorClass('type-a')
           : className === 'CommandBusRemoteError'
             ? new ErrorClass('type-a', { code: 'ERR' })
-            : new ErrorClass('message');
+            : className === 'CommandBusUnhandledError'
+              ? new ErrorClass('type-a', 'NO_HANDLER')
+              : className === 'CommandBusHandshakeError'
+                ? new ErrorClass(1, 2)
+                : className === 'CommandBusExpiredError'
+                  ? new ErrorClass('type-a', 100)
+                  : className === 'CommandBusDisconnectedError'
+                    ? new ErrorClass(3)
+                    : new ErrorClass('message');
 
     assert.equal(instance instanceof Error, true, `${className} is not an Error`);
     assert.equal(instance.name, className, `${className} has unexpected name`);
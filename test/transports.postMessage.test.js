@@ -0,0 +1,176 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { BroadcastChannel, MessageChannel, Worker } from 'node:worker_threads';
+
+import {
+  createBroadcastChannelTransport,
+  createCommandBus,
+  createMessagePortTransport,
+  createWindowTransport,
+  createWorkerTransport
+} from '../index.js';
+
+const createFakeWindow = (origin) => {
+  const listeners = new Set();
+  const fakeWindow = {
+    origin,
+    peer: undefined,
+    addEventListener: (type, listener) => {
+      if (type === 'message') {
+        listeners.add(listener);
+      }
+    },
+    removeEventListener: (type, listener) => {
+      if (type === 'message') {
+        listeners.delete(listener);
+      }
+    },
+    dispatch: (event) => {
+      for (const listener of listeners) {
+        listener(event);
+      }
+    },
+    // Mirrors window.postMessage: delivery is skipped when the recipient origin does not match.
+    postMessage: (data, targetOrigin) => {
+      if (targetOrigin === origin) {
+        fakeWindow.dispatch({ data, origin: fakeWindow.peer.origin, source: fakeWindow.peer });
+      }
+    },
+    listenerCount: () => listeners.size
+  };
+  return fakeWindow;
+};
+
+const createWindowPair = () => {
+  const parent = createFakeWindow('https://app.example');
+  const child = createFakeWindow('https://widget.example');
+  parent.peer = child;
+  child.peer = parent;
+  return { parent, child };
+};
+
+test('window transport posts to the explicit origin and exposes origin and source to handlers', async () => {
+  const { parent, child } = createWindowPair();
+  const parentBus = createCommandBus(
+    createWindowTransport({ targetWindow: child, targetOrigin: 'https://widget.example', selfWindow: parent })
+  );
+  const childBus = createCommandBus(
+    createWindowTransport({ targetWindow: parent, targetOrigin: 'https://app.example', selfWindow: child })
+  );
+
+  childBus.handle('whoami', (_, context) => context.sender.origin);
+
+  assert.equal(await parentBus.request('whoami', undefined, 100), 'https://app.example');
+  parentBus.dispose();
+  childBus.dispose();
+  assert.equal(parent.listenerCount(), 0);
+});
+
+test('window transport drops messages from other origins or sources', () => {
+  const { parent, child } = createWindowPair();
+  const received = [];
+  const bus = createCommandBus(
+    createWindowTransport({ targetWindow: child, targetOrigin: 'https://widget.example', selfWindow: parent })
+  );
+  const intruder = createFakeWindow('https://widget.example');
+
+  bus.on('notify', (payload) => received.push(payload));
+
+  const data = JSON.stringify({ type: 'notify', payload: 'x' });
+  parent.dispatch({ data, origin: 'https://evil.example', source: child });
+  parent.dispatch({ data, origin: 'https://widget.example', source: intruder });
+  parent.dispatch({ data, origin: 'https://widget.example', source: child });
+
+  assert.deepEqual(received, ['x']);
+  bus.dispose();
+});
+
+test('window transport requires an explicit targetOrigin', () => {
+  const { parent, child } = createWindowPair();
+
+  assert.throws(() => createWindowTransport({ targetWindow: child, selfWindow: parent }), /targetOrigin/);
+  assert.throws(
+    () => createWindowTransport({ targetWindow: child, targetOrigin: '*', selfWindow: parent }),
+    /targetOrigin/
+  );
+  assert.throws(() => createWindowTransport({ targetOrigin: 'https://a.example', selfWindow: parent }), /targetWindow/);
+  assert.throws(() => createWindowTransport({ targetWindow: child, targetOrigin: 'https://a.example' }), /selfWindow/);
+});
+
+test('MessagePort transport links both ends of a MessageChannel', async () => {
+  const { port1, port2 } = new MessageChannel();
+  const busA = createCommandBus(createMessagePortTransport({ port: port1 }));
+  const busB = createCommandBus(createMessagePortTransport({ port: port2 }));
+
+  busB.handle('echo', (payload) => payload);
+
+  assert.deepEqual(await busA.request('echo', { value: 1 }, 500), { value: 1 });
+  busA.dispose();
+  busB.dispose();
+  port1.close();
+});
+
+test('BroadcastChannel transport delivers to other channel instances', async () => {
+  const channelA = new BroadcastChannel('simplex-bus-test');
+  const channelB = new BroadcastChannel('simplex-bus-test');
+  const busA = createCommandBus(createBroadcastChannelTransport({ channel: channelA }));
+  const busB = createCommandBus(createBroadcastChannelTransport({ channel: channelB }));
+
+  busB.handle('echo', (payload) => payload);
+
+  assert.equal(await busA.request('echo', 'hi', 500), 'hi');
+  busA.dispose();
+  busB.dispose();
+  channelA.close();
+  channelB.close();
+});
+
+test('worker transport talks to a worker_threads Worker', async () => {
+  const worker = new Worker(new URL('../fixtures/helpers/workerPeer.js', import.meta.url));
+  const bus = createCommandBus(createWorkerTransport({ worker }));
+
+  try {
+    assert.equal(await bus.request('double', 21, 5000), 42);
+  } finally {
+    bus.dispose();
+    await worker.terminate();
+  }
+});
+
+test('transport factories validate their targets', () => {
+  assert.throws(() => createMessagePortTransport({ port: {} }), /port/);
+  assert.throws(() => createWorkerTransport(), /worker/);
+  assert.throws(() => createBroadcastChannelTransport({ channel: null }), /channel/);
+
+  const { onReceive } = createMessagePortTransport({ port: { postMessage: () => {} } });
+  assert.throws(() => onReceive(() => {}), /addEventListener or on/);
+});
+
+test('window and port transports pass a transfer list through; broadcast channels drop it', () => {
+  const calls = [];
+  const record = (name) => ({
+    postMessage: (...args) => calls.push([name, ...args]),
+    addEventListener: () => {},
+    removeEventListener: () => {}
+  });
+  const buffer = new ArrayBuffer(1);
+  const message = { type: 'frame' };
+
+  const windowTransport = createWindowTransport({
+    targetWindow: record('window'),
+    targetOrigin: 'https://widget.example',
+    selfWindow: record('self')
+  });
+
+  windowTransport.sendFn(message, { transfer: [buffer] });
+  createMessagePortTransport({ port: record('port') }).sendFn(message, { transfer: [buffer] });
+  createBroadcastChannelTransport({ channel: record('channel') }).sendFn(message, { transfer: [buffer] });
+  createMessagePortTransport({ port: record('plain') }).sendFn(message);
+
+  assert.deepEqual(calls, [
+    ['window', message, 'https://widget.example', [buffer]],
+    ['port', message, [buffer]],
+    ['channel', message],
+    ['plain', message]
+  ]);
+});
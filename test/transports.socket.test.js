@@ -0,0 +1,275 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter, once } from 'node:events';
+import { createConnection, createServer } from 'node:net';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+  CommandBusTransportClosedError,
+  attachSocketServer,
+  createBinaryCodec,
+  createCommandBus,
+  createLengthPrefixedDecoder,
+  createSocketTransport,
+  encodeLengthPrefixedFrame
+} from '../index.js';
+
+const concat = (...frames) => {
+  const bytes = new Uint8Array(frames.reduce((size, frame) => size + frame.length, 0));
+  let offset = 0;
+  for (const frame of frames) {
+    bytes.set(frame, offset);
+    offset += frame.length;
+  }
+  return bytes;
+};
+
+const listen = async (server, ...args) => {
+  server.listen(...args);
+  await once(server, 'listening');
+};
+
+const connect = async (options) => {
+  const socket = createConnection(options);
+  await once(socket, 'connect');
+  return socket;
+};
+
+test('length-prefixed frames round-trip when split or concatenated', () => {
+  const frames = [];
+  const push = createLengthPrefixedDecoder({ maxFrameBytes: 1024, onFrame: (message) => frames.push(message) });
+  const bytes = concat(
+    encodeLengthPrefixedFrame('{"type":"a"}'),
+    encodeLengthPrefixedFrame('héllo'),
+    encodeLengthPrefixedFrame('')
+  );
+
+  for (let index = 0; index < bytes.length; index += 3) {
+    push(bytes.subarray(index, index + 3));
+  }
+  push(concat(encodeLengthPrefixedFrame('x'), encodeLengthPrefixedFrame('y')));
+
+  assert.deepEqual(frames, ['{"type":"a"}', 'héllo', '', 'x', 'y']);
+  assert.deepEqual([...encodeLengthPrefixedFrame('héllo').subarray(0, 4)], [0, 0, 0, 6]);
+});
+
+test('binary decoders deliver frame bodies as bytes', () => {
+  const frames = [];
+  const push = createLengthPrefixedDecoder({ maxFrameBytes: 16, binary: true, onFrame: (bytes) => frames.push(bytes) });
+
+  push(concat(encodeLengthPrefixedFrame(Uint8Array.of(0, 255)), encodeLengthPrefixedFrame(new Uint8Array(0))));
+
+  assert.deepEqual(frames, [Uint8Array.of(0, 255), new Uint8Array(0)]);
+});
+
+test('oversized frames are rejected from the header and skipped', () => {
+  const frames = [];
+  const oversized = [];
+  const push = createLengthPrefixedDecoder({
+    maxFrameBytes: 8,
+    onFrame: (message) => frames.push(message),
+    onOversized: (length) => oversized.push(length)
+  });
+  const big = encodeLengthPrefixedFrame('x'.repeat(20));
+
+  push(big.subarray(0, 4));
+  assert.deepEqual(oversized, [20]);
+
+  push(concat(big.subarray(4), encodeLengthPrefixedFrame('ok')));
+  push(Uint8Array.of(0xff, 0xff, 0xff, 0xff));
+  assert.deepEqual(frames, ['ok']);
+  assert.deepEqual(oversized, [20, 0xffffffff]);
+});
+
+test('socket transport runs request/response over TCP', async () => {
+  const server = createServer();
+  const attached = attachSocketServer({
+    server,
+    onBus: (bus) => bus.handle('double', (value) => value * 2)
+  });
+  await listen(server, 0, '127.0.0.1');
+
+  const socket = await connect({ port: server.address().port, host: '127.0.0.1' });
+  const bus = createCommandBus(createSocketTransport({ socket }));
+
+  try {
+    assert.equal(await bus.request('double', 21, 2000), 42);
+    assert.equal(attached.buses.size, 1);
+  } finally {
+    bus.dispose();
+    socket.destroy();
+    attached.close();
+    server.close();
+  }
+});
+
+test('server mode creates one bus per Unix socket connection and disposes it on close', async (t) => {
+  if (process.platform === 'win32') {
+    t.skip('Unix domain sockets are not available');
+    return;
+  }
+
+  const path = join(tmpdir(), `simplex-bus-${process.pid}-${Date.now()}.sock`);
+  const server = createServer();
+  const attached = attachSocketServer({
+    server,
+    onBus: (bus) => bus.handle('connections', () => attached.buses.size)
+  });
+  await listen(server, path);
+
+  const first = await connect({ path });
+  const second = await connect({ path });
+  const firstBus = createCommandBus(createSocketTransport({ socket: first }));
+  const secondBus = createCommandBus(createSocketTransport({ socket: second }));
+
+  try {
+    assert.equal(await firstBus.request('connections', undefined, 2000), 2);
+    assert.equal(await secondBus.request('connections', undefined, 2000), 2);
+
+    first.end();
+    await once(first, 'close');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.equal(attached.buses.size, 1);
+  } finally {
+    firstBus.dispose();
+    secondBus.dispose();
+    second.destroy();
+    attached.close();
+    server.close();
+  }
+});
+
+test('binary buses exchange raw frames over TCP', async () => {
+  const codec = createBinaryCodec();
+  const server = createServer();
+  const attached = attachSocketServer({
+    server,
+    config: codec,
+    onBus: (bus) => bus.handle('checksum', (bytes) => bytes.reduce((sum, byte) => sum + byte, 0))
+  });
+  await listen(server, 0, '127.0.0.1');
+
+  const socket = await connect({ port: server.address().port, host: '127.0.0.1' });
+  const bus = createCommandBus({ ...createSocketTransport({ socket, binary: true }), ...codec });
+
+  try {
+    assert.equal(await bus.request('checksum', Uint8Array.of(1, 2, 250), 2000), 253);
+  } finally {
+    bus.dispose();
+    socket.destroy();
+    attached.close();
+    server.close();
+  }
+});
+
+test('a closed socket rejects pending requests and later sends', async () => {
+  const server = createServer((socket) => {
+    socket.once('data', () => socket.destroy());
+  });
+  await listen(server, 0, '127.0.0.1');
+
+  const socket = await connect({ port: server.address().port, host: '127.0.0.1' });
+  const bus = createCommandBus(createSocketTransport({ socket }));
+
+  try {
+    await assert.rejects(() => bus.request('hang', undefined, 2000), CommandBusTransportClosedError);
+    await once(socket, 'close');
+    assert.throws(() => bus.send('log', 'late'), CommandBusTransportClosedError);
+  } finally {
+    bus.dispose();
+    server.close();
+  }
+});
+
+test('oversized socket frames are logged with the bus limit', async () => {
+  const logs = [];
+  const server = createServer();
+  const received = [];
+  const attached = attachSocketServer({
+    server,
+    config: { maxIncomingMessageBytes: 64, logger: { error: (...args) => logs.push(args) } },
+    onBus: (bus) => bus.on('log', (payload) => received.push(payload))
+  });
+  await listen(server, 0, '127.0.0.1');
+
+  const socket = await connect({ port: server.address().port, host: '127.0.0.1' });
+  socket.write(encodeLengthPrefixedFrame(JSON.stringify({ type: 'log', payload: 'x'.repeat(100) })));
+  socket.write(encodeLengthPrefixedFrame(JSON.stringify({ type: 'log', payload: 'ok' })));
+
+  try {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.deepEqual(received, ['ok']);
+    assert.equal(logs.length, 1);
+    assert.match(logs[0][0], /exceeds maxIncomingMessageBytes \(64\)/);
+  } finally {
+    socket.destroy();
+    attached.close();
+    server.close();
+  }
+});
+
+test('socket transport and server mode validate their options', () => {
+  assert.throws(() => createSocketTransport({}), /socket/);
+  assert.throws(
+    () => createSocketTransport({ socket: { write: () => {}, on: () => {} }, maxIncomingMessageBytes: -1 }),
+    /maxIncomingMessageBytes/
+  );
+  assert.throws(() => createSocketTransport({ socket: { write: () => {}, on: () => {} }, binary: 1 }), /binary/);
+  assert.throws(() => attachSocketServer({ server: {} }), /server/);
+  assert.throws(() => attachSocketServer({ server: createServer(), onBus: 1 }), /onBus/);
+  assert.throws(() => attachSocketServer({ server: createServer(), config: { encoding: 'bogus' } }), /encoding/);
+  assert.throws(() => attachSocketServer({ server: createServer(), config: 'strict' }), /config/);
+  assert.throws(() => createLengthPrefixedDecoder({ maxFrameBytes: 0, onFrame: () => {} }), /maxFrameBytes/);
+});
+
+test('server mode logs a failed per-connection bus and destroys that socket', () => {
+  const logs = [];
+  const server = new EventEmitter();
+  const attached = attachSocketServer({ server, config: { logger: { error: (...args) => logs.push(args[0]) } } });
+  let destroyed = false;
+
+  server.emit('connection', { on: () => {}, destroy: () => (destroyed = true) });
+
+  assert.equal(destroyed, true);
+  assert.equal(attached.buses.size, 0);
+  assert.deepEqual(logs, ['[SimplexBus] Failed to create a bus for an incoming connection']);
+  attached.close();
+});
+
+test('server mode contains a throwing onBus and keeps accepting connections', async () => {
+  const logs = [];
+  const server = createServer();
+  let count = 0;
+  const attached = attachSocketServer({
+    server,
+    config: { logger: { error: (...args) => logs.push(args[0]) } },
+    onBus: (bus) => {
+      count += 1;
+      if (count === 1) {
+        throw new Error('setup failed');
+      }
+      bus.handle('double', (value) => value * 2);
+    }
+  });
+  await listen(server, 0, '127.0.0.1');
+  const address = { port: server.address().port, host: '127.0.0.1' };
+
+  const first = await connect(address);
+  await once(first, 'close');
+  assert.equal(attached.buses.size, 0);
+  assert.deepEqual(logs, ['[SimplexBus] onBus failed for an incoming connection']);
+
+  const second = await connect(address);
+  const bus = createCommandBus(createSocketTransport({ socket: second }));
+
+  try {
+    assert.equal(await bus.request('double', 21, 2000), 42);
+    assert.equal(attached.buses.size, 1);
+  } finally {
+    bus.dispose();
+    second.destroy();
+    attached.close();
+    server.close();
+  }
+});
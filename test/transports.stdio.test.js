@@ -0,0 +1,132 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fork, spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { PassThrough } from 'node:stream';
+import { fileURLToPath } from 'node:url';
+
+import {
+  CommandBusTransportClosedError,
+  createChildProcessTransport,
+  createCommandBus,
+  createStdioTransport
+} from '../index.js';
+
+const peerPath = new URL('../fixtures/helpers/childProcessPeer.js', import.meta.url);
+
+const createStreamBus = (options = {}) => {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  const received = [];
+  const bus = createCommandBus(createStdioTransport({ input, output, ...options }));
+
+  bus.on('log', (payload) => received.push(payload));
+  return { input, output, bus, received };
+};
+
+test('stdio transport writes one JSON envelope per line', () => {
+  const { output, bus } = createStreamBus();
+  const written = [];
+  output.on('data', (chunk) => written.push(chunk.toString()));
+
+  bus.send('log', 'a');
+  bus.send('log', 'b\nc');
+
+  const lines = written.join('').split('\n');
+  assert.equal(lines.length, 3);
+  assert.equal(lines[2], '');
+  assert.deepEqual(
+    lines.slice(0, 2).map((line) => JSON.parse(line).payload),
+    ['a', 'b\nc']
+  );
+  bus.dispose();
+});
+
+test('stdio transport buffers partial lines and splits concatenated lines', () => {
+  const { input, bus, received } = createStreamBus();
+  const line = (payload) => `${JSON.stringify({ type: 'log', payload })}\n`;
+  const first = new TextEncoder().encode(line('héllo'));
+  const split = first.indexOf(0xc3) + 1;
+
+  input.write(first.subarray(0, split));
+  input.write(first.subarray(split));
+  input.write(`${line('two')}\n${line('three').slice(0, 10)}`);
+  assert.deepEqual(received, ['héllo', 'two']);
+
+  input.write(line('three').slice(10));
+  assert.deepEqual(received, ['héllo', 'two', 'three']);
+  bus.dispose();
+});
+
+test('stdio transport drops lines over maxIncomingMessageBytes before they complete', () => {
+  const logs = [];
+  const { input, bus, received } = createStreamBus({
+    maxIncomingMessageBytes: 64,
+    logger: { error: (...args) => logs.push(args) }
+  });
+
+  input.write(`{"type":"log","payload":"${'x'.repeat(80)}`);
+  assert.equal(logs.length, 1);
+  input.write(`${'x'.repeat(500)}"}\n`);
+  input.write(`${JSON.stringify({ type: 'log', payload: 'ok' })}\n`);
+
+  assert.deepEqual(received, ['ok']);
+  assert.equal(logs.length, 1);
+  assert.match(logs[0][0], /maxIncomingMessageBytes \(64\)/);
+  bus.dispose();
+});
+
+test('closing the input stream rejects pending requests', async () => {
+  const { input, bus } = createStreamBus();
+  const pending = bus.request('get-profile', undefined, 5000);
+
+  input.end();
+
+  await assert.rejects(() => pending, CommandBusTransportClosedError);
+  bus.dispose();
+});
+
+test('stdio transport drives a spawned child over stdin and stdout', async () => {
+  const child = spawn(process.execPath, [fileURLToPath(peerPath), 'stdio'], { stdio: ['pipe', 'pipe', 'inherit'] });
+  const bus = createCommandBus(createStdioTransport({ input: child.stdout, output: child.stdin }));
+
+  try {
+    assert.equal(await bus.request('double', 21, 5000), 42);
+
+    const hanging = bus.request('hang', undefined, 5000);
+    bus.send('exit');
+    await assert.rejects(() => hanging, CommandBusTransportClosedError);
+  } finally {
+    bus.dispose();
+    child.kill();
+  }
+});
+
+test('child process transport uses the IPC channel and rejects pending requests on disconnect', async () => {
+  const child = fork(peerPath, ['ipc'], { stdio: ['ignore', 'ignore', 'inherit', 'ipc'] });
+  const bus = createCommandBus(createChildProcessTransport({ child }));
+
+  try {
+    assert.equal(await bus.request('double', 4, 5000), 8);
+
+    const hanging = bus.request('hang', undefined, 5000);
+    bus.send('exit');
+    await assert.rejects(() => hanging, CommandBusTransportClosedError);
+    await once(child, 'exit');
+    assert.throws(() => bus.send('log', 'late'), CommandBusTransportClosedError);
+  } finally {
+    bus.dispose();
+    child.kill();
+  }
+});
+
+test('stdio and child process transports validate their options', () => {
+  const input = new PassThrough();
+  const output = new PassThrough();
+
+  assert.throws(() => createStdioTransport({ output }), /input/);
+  assert.throws(() => createStdioTransport({ input }), /output/);
+  assert.throws(() => createStdioTransport({ input, output, maxIncomingMessageBytes: 0 }), /maxIncomingMessageBytes/);
+  assert.throws(() => createChildProcessTransport({ child: {} }), /child/);
+  assert.throws(() => createCommandBus({ sendFn: () => {}, onClose: true }), /onClose/);
+});
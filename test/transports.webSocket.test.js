@@ -0,0 +1,231 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter, once } from 'node:events';
+
+import {
+  CommandBusLimitError,
+  CommandBusTimeoutError,
+  CommandBusTransportClosedError,
+  createCommandBus,
+  createWebSocketTransport
+} from '../index.js';
+import { TestWebSocket, startWebSocketServer } from '../fixtures/helpers/webSocketPeer.js';
+
+// Lets a pending 0 ms reconnect timer fire first, since timers with the same delay run in scheduling order.
+const nextTimerTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// Every accepted connection gets a fresh server-side bus, as a restarted agent would.
+const startAgent = async (setup) => {
+  const server = await startWebSocketServer();
+  const connections = [];
+
+  server.events.on('connection', (peer) => {
+    const bus = createCommandBus({ sendFn: peer.sendFn, onReceive: peer.onReceive });
+    connections.push({ peer, bus });
+    setup?.(bus, peer, connections.length);
+  });
+
+  return { server, connections };
+};
+
+// Records every client socket so tests wait on its `open` and `close` events instead of sleeping.
+const createClient = (url, options = {}, config = {}) => {
+  const sockets = [];
+  class TrackedWebSocket extends TestWebSocket {
+    constructor(socketUrl) {
+      super(socketUrl);
+      sockets.push(this);
+    }
+  }
+  const client = createCommandBus({
+    ...createWebSocketTransport({
+      url,
+      WebSocket: TrackedWebSocket,
+      minReconnectDelay: 5,
+      maxReconnectDelay: 20,
+      ...options
+    }),
+    ...config
+  });
+  return { client, sockets };
+};
+
+test('websocket transport buffers until open and runs request/response', async () => {
+  const { server } = await startAgent((bus) => bus.handle('double', (value) => value * 2));
+  const { client } = createClient(server.url);
+
+  try {
+    assert.equal(await client.request('double', 21, 2000), 42);
+  } finally {
+    client.dispose();
+    await server.close();
+  }
+});
+
+test('websocket transport reconnects with backoff and flushes messages sent while disconnected', async () => {
+  const received = [];
+  const logged = new EventEmitter();
+  const { server, connections } = await startAgent((bus) =>
+    bus.on('log', (payload) => {
+      received.push(payload);
+      logged.emit('log');
+    })
+  );
+  const { client, sockets } = createClient(server.url);
+
+  try {
+    client.send('log', 'first');
+    await once(logged, 'log');
+    server.dropAll();
+    await once(sockets[0], 'close');
+    client.send('log', 'while-disconnected');
+    await once(logged, 'log');
+
+    assert.equal(connections.length, 2);
+    assert.deepEqual(received, ['first', 'while-disconnected']);
+  } finally {
+    client.dispose();
+    await server.close();
+  }
+});
+
+test('the reject policy rejects pending requests when the connection drops', async () => {
+  const { server } = await startAgent((bus, peer) => bus.handle('hang', () => peer.drop()));
+  const { client } = createClient(server.url);
+
+  try {
+    await assert.rejects(() => client.request('hang', undefined, 2000), CommandBusTransportClosedError);
+  } finally {
+    client.dispose();
+    await server.close();
+  }
+});
+
+test('the keep policy leaves pending requests to their timeout', async () => {
+  const { server, connections } = await startAgent((bus, peer, index) => {
+    bus.handle('hang', () => (index === 1 ? peer.drop() : new Promise(() => {})));
+  });
+  const { client } = createClient(server.url, { pendingRequestPolicy: 'keep' });
+
+  try {
+    await assert.rejects(() => client.request('hang', undefined, 100), CommandBusTimeoutError);
+    assert.equal(connections.length, 2);
+  } finally {
+    client.dispose();
+    await server.close();
+  }
+});
+
+test('the resend policy replays unanswered requests once after reconnecting', async () => {
+  const calls = [];
+  const { server } = await startAgent((bus, peer, index) => {
+    bus.handle('get-profile', (payload) => {
+      calls.push([index, payload]);
+      if (index === 1) {
+        peer.drop();
+        return new Promise(() => {});
+      }
+      return { id: payload };
+    });
+  });
+  const { client, sockets } = createClient(server.url, { pendingRequestPolicy: 'resend' });
+
+  try {
+    const first = client.request('get-profile', 'u-1', 2000);
+    await once(sockets[0], 'close');
+    const second = client.request('get-profile', 'u-2', 2000);
+
+    assert.deepEqual(await first, { id: 'u-1' });
+    assert.deepEqual(await second, { id: 'u-2' });
+    assert.deepEqual(calls, [
+      [1, 'u-1'],
+      [2, 'u-1'],
+      [2, 'u-2']
+    ]);
+  } finally {
+    client.dispose();
+    await server.close();
+  }
+});
+
+test('requests buffered as fragments while disconnected are sent once under the resend policy', async () => {
+  const calls = [];
+  const { server } = await startAgent((bus) => {
+    bus.handle('upload', (payload) => {
+      calls.push(payload.length);
+      return payload.length;
+    });
+  });
+  const { client, sockets } = createClient(server.url, { pendingRequestPolicy: 'resend' }, { maxFragmentBytes: 256 });
+
+  try {
+    await once(sockets[0], 'open');
+    server.dropAll();
+    await once(sockets[0], 'close');
+
+    assert.equal(await client.request('upload', 'x'.repeat(600), 2000), 600);
+    assert.equal(await client.request('upload', 'y', 2000), 1);
+    assert.deepEqual(calls, [600, 1]);
+  } finally {
+    client.dispose();
+    await server.close();
+  }
+});
+
+test('exhausted reconnect attempts close the transport', async () => {
+  const { server } = await startAgent();
+  const { client, sockets } = createClient(server.url, { pendingRequestPolicy: 'keep', maxReconnectAttempts: 2 });
+
+  try {
+    await once(sockets[0], 'open');
+    const pending = client.request('hang', undefined, 2000);
+    await server.close();
+
+    await assert.rejects(() => pending, CommandBusTransportClosedError);
+    assert.throws(() => client.send('log', 'late'), CommandBusTransportClosedError);
+  } finally {
+    client.dispose();
+  }
+});
+
+test('the outbound buffer is bounded and dispose closes the socket without reconnecting', async () => {
+  const { server, connections } = await startAgent();
+  const { client, sockets } = createClient(server.url, {
+    maxBufferedMessages: 1,
+    minReconnectDelay: 0,
+    maxReconnectDelay: 0
+  });
+
+  client.send('log', 1);
+  assert.throws(() => client.send('log', 2), CommandBusLimitError);
+
+  await once(sockets[0], 'open');
+  client.dispose();
+  await once(sockets[0], 'close');
+  await nextTimerTick();
+
+  assert.equal(sockets.length, 1);
+  assert.equal(connections.length, 1);
+  await server.close();
+});
+
+test('websocket transport options are validated', () => {
+  const url = 'ws://127.0.0.1:1/';
+
+  assert.throws(() => createWebSocketTransport({ WebSocket: TestWebSocket }), /url/);
+  assert.throws(() => createWebSocketTransport({ url, WebSocket: {} }), /WebSocket/);
+  assert.throws(() => createWebSocketTransport({ url, WebSocket: TestWebSocket, reconnect: 'yes' }), /reconnect/);
+  assert.throws(
+    () => createWebSocketTransport({ url, WebSocket: TestWebSocket, minReconnectDelay: -1 }),
+    /minReconnectDelay/
+  );
+  assert.throws(
+    () => createWebSocketTransport({ url, WebSocket: TestWebSocket, maxBufferedMessages: 0 }),
+    /maxBufferedMessages/
+  );
+  assert.throws(
+    () => createWebSocketTransport({ url, WebSocket: TestWebSocket, pendingRequestPolicy: 'retry' }),
+    /pendingRequestPolicy/
+  );
+  assert.throws(() => createCommandBus({ sendFn: () => {}, onReconnect: 1 }), /onReconnect/);
+});
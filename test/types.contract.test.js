@@ -13,12 +13,82 @@ test('index.d.ts exports core API signatures (contract smoke)', () => {
     'responseNonce?: string;',
     'maxIncomingMessageBytes?: number;',
     'maxPendingRequests?: number;',
+    'maxFragmentBytes?: number;',
+    'maxReassembledMessageBytes?: number;',
+    'fragmentTimeout?: number;',
+    'maxConcurrentReassemblies?: number;',
+    'maxReassemblyBufferBytes?: number;',
+    "unhandledRequestMode?: 'reply' | 'silent';",
+    'errorClasses?: Record<string, RegisteredErrorClass>;',
+    'exposeErrorStack?: boolean;',
+    "code: 'NO_HANDLER' | 'TYPE_NOT_ALLOWED';",
     'details?: ValidationErrorDetails;',
+    'remote: boolean;',
     'export interface CommandBus',
-    'send(type: string, payload?: unknown): void;',
-    'request(type: string, payload?: unknown, timeout?: number): Promise<unknown>;',
-    'export function createCommandBus(config: CreateCommandBusConfig): CommandBus;',
+    'send<TType extends CommandType<TContracts>>(',
+    'request<TType extends CommandType<TContracts>>(',
+    'requestStream<TType extends CommandType<TContracts>>(',
+    'emit(chunk: TResponse, options?: ResponseOptions): boolean;',
+    'progress(data: unknown): boolean;',
+    'readonly signal: AbortSignal;',
+    'handle<TType extends CommandType<TContracts>>(',
+    'use(middleware: CommandBusMiddleware): () => boolean;',
+    "category: 'command' | 'request' | 'response' | 'control';",
+    'onProgress?: (data: unknown) => void;',
+    'readonly meta: EnvelopeMeta;',
+    'defaultMeta?: EnvelopeMeta;',
+    'maxMetaBytes?: number;',
+    'handshake?: boolean;',
+    'outbox?: boolean;',
+    'maxOutboxMessages?: number;',
+    'outboxTtl?: number;',
+    "requestTimeoutFrom?: 'enqueue' | 'flush';",
+    'markReady(): void;',
+    'setTransport(',
+    'resendPending?: boolean;',
+    "'transport-changed': { resent: number };",
+    'heartbeatInterval?: number;',
+    'maxMissedHeartbeats?: number;',
+    'rejectPendingOnPeerLost?: boolean;',
+    'onPeerEvent<TEvent extends keyof PeerEventMap>(',
+    'readonly peerStatus: PeerStatus;',
+    'readonly rtt: number | undefined;',
+    'missedHeartbeats: number;',
+    'ttl: number;',
+    'readonly ready: Promise<PeerInfo | undefined>;',
+    'readonly peer: PeerInfo | undefined;',
+    'peerProtocol: number;',
+    'receive(raw: IncomingMessage, transportMeta?: TransportMeta): void;',
+    'export type IncomingMessage = string | Uint8Array | ArrayBuffer | Record<string, unknown>;',
+    "export type CommandBusEncoding = 'string' | 'object' | 'binary';",
+    'parser?: (raw: SerializedMessage<TEncoding>) => Record<string, unknown>;',
+    'export function createBinaryCodec(): BinaryCommandBusCodec;',
+    'binary?: boolean;',
+    'readonly sender?: TransportMeta;',
+    'export function createCommandBus<',
+    '>(config: CreateCommandBusConfig<TContracts, TEncoding>): CommandBus<TContracts, TEncoding>;',
+    'sendFn: (message: EncodedMessage<TEncoding>, options?: TransportSendOptions) => void;',
+    'export type TransferList = readonly object[];',
+    'transfer?: TransferList;',
+    'respond(payload: TResponse, options?: ResponseOptions): boolean;',
+    'encoding?: TEncoding;',
     'export function createSchemaValidators(',
+    'export function createRichCodec(): CommandBusCodec;',
+    'export function createWindowTransport(options: WindowTransportOptions): CommandBusTransport<string | Envelope>;',
+    'export function createMessagePortTransport(options: { port: MessageTargetLike }): CommandBusTransport<string | Envelope>;',
+    'export function createWorkerTransport(options: { worker: MessageTargetLike }): CommandBusTransport<string | Envelope>;',
+    'export function createBroadcastChannelTransport(options: { channel: MessageTargetLike }): CommandBusTransport<string | Envelope>;',
+    'onClose?: (handler: (reason?: unknown) => void) => void | (() => void);',
+    'export function createChildProcessTransport(options: { child: ChildProcessLike }): CommandBusTransport;',
+    'export function createStdioTransport(options: StdioTransportOptions): CommandBusTransport;',
+    'export function createSocketTransport(options: SocketTransportOptions): CommandBusTransport<string | Uint8Array>;',
+    'export function createWebSocketTransport(options: WebSocketTransportOptions): CommandBusTransport;',
+    "export type PendingRequestPolicy = 'reject' | 'keep' | 'resend';",
+    'onReconnect?: (handler: () => void) => void | (() => void);',
+    '>(options: AttachSocketServerOptions<TContracts, TSocket, TEncoding>): AttachedSocketServer<TContracts, TEncoding>;',
+    'export function encodeLengthPrefixedFrame(message: string | Uint8Array): Uint8Array;',
+    'export function createLengthPrefixedDecoder(options: {',
+    'export class CommandBusTransportClosedError extends CommandBusError {}',
     'export class CommandBusLimitError extends CommandBusError {}'
   ];
 
@@ -27,6 +97,43 @@ test('index.d.ts exports core API signatures (contract smoke)', () => {
   }
 });
 
+test('index.d.ts declares per-type contract generics', () => {
+  const requiredSignatures = [
+    'export interface CommandContract {',
+    'export type CommandType<TContracts extends CommandContractMap<TContracts>> = Extract<keyof TContracts, string>;',
+    'export interface CommandBus<',
+    "TEncoding extends CommandBusEncoding = 'string'",
+    'allowedTypes?: CommandType<TContracts>[];',
+    'payload?: RequestOf<TContracts, TType>,',
+    '): Promise<ResponseOf<TContracts, TType>>;',
+    'handler: CommandHandler<RequestOf<TContracts, TType>, ResponseOf<TContracts, TType>, ErrorOf<TContracts, TType>>',
+    '> = CommandBusRemoteError<ErrorOf<TContracts, TType>, TType>;'
+  ];
+
+  for (const signature of requiredSignatures) {
+    assert.equal(dts.includes(signature), true, `Missing contract generic: ${signature}`);
+  }
+});
+
+test('typed contract fixture checks misuse with ts-expect-error', () => {
+  const fixture = readFileSync(new URL('../fixtures/types/pass/typed-contracts.ts', import.meta.url), 'utf8');
+
+  assert.equal(fixture.includes('createCommandBus<AppContracts>('), true);
+  assert.ok(fixture.split('@ts-expect-error').length - 1 >= 6);
+});
+
+test('index.d.ts infers contracts from an as-const schemaMap', () => {
+  assert.equal(dts.includes('export type FromSchema<TSchema> ='), true);
+  assert.equal(
+    dts.includes('export type ContractsFromSchemaMap<TSchemaMap extends Record<string, SchemaEntry>> = {'),
+    true
+  );
+
+  const fixture = readFileSync(new URL('../fixtures/types/pass/schema-contracts.ts', import.meta.url), 'utf8');
+  assert.equal(fixture.includes('ContractsFromSchemaMap<typeof schemaMap>'), true);
+  assert.equal(fixture.includes('} as const;'), true);
+});
+
 test('index.d.ts includes schema diagnostics hook contract', () => {
   assert.equal(dts.includes('onValidationError?: (details:'), true);
   assert.equal(dts.includes("channel: 'request' | 'response' | 'error';"), true);